@@ -16,20 +16,149 @@
   // Versions (audit)
   // ===========
   const APP_VERSION = '2.0.0';
-  const CALC_VERSION = 'factorySheet_v1';
+  const CALC_VERSION = 'factorySheet_v2';
 
   // ===========
   // Constants
   // ===========
-  const DRAFT_ID = 'current';
-  const DEFAULT_CURRENCY = '$';
+  const DEFAULT_CURRENCY = 'USD';
+
+  // Exchange rates are stored as units of a currency per 1 BASE_CURRENCY
+  const BASE_CURRENCY = 'USD';
+  const CURRENCY_SYMBOLS = { USD: '$', EUR: '€', GBP: '£', BDT: '৳', CNY: '¥', INR: '₹', JPY: '¥' };
+  // Free-text currencies seen on legacy records (matched case-insensitively)
+  const LEGACY_CURRENCY_ALIASES = {
+    '$': 'USD', 'US$': 'USD', '€': 'EUR', '£': 'GBP',
+    '৳': 'BDT', 'TK': 'BDT', 'TK.': 'BDT', 'TAKA': 'BDT',
+    '₹': 'INR', 'RS': 'INR', 'RS.': 'INR', '¥': 'CNY', 'RMB': 'CNY',
+  };
   
-  // Fixed ROC (factory standard)
-  const FIXED_ROC_PCT = 2.5;
-const WEIGHT_GM_PER_LB = 453.6;
+  // ROC locked by factorySheet_v1 (records saved before markup layers)
+  const LEGACY_ROC_PCT = 2.5;
   const PIECES_PER_DOZEN = 12;
-  const GM_PER_LB_PER_PIECE_IN_DOZEN = WEIGHT_GM_PER_LB / PIECES_PER_DOZEN; // 37.8
+
+  // Yarn prices are quoted per LBS or per KG; the engine works per LBS
+  const YARN_PRICE_UNITS = [
+    { value: 'lb', label: 'LBS' },
+    { value: 'kg', label: 'KG' },
+  ];
+  // Seed for the gauge master (Settings); costing defaults start blank
   const GAUGE_OPTIONS = [3, 5, 7, 12];
+  const GAUGE_PRESET_FIELDS = [
+    ['wastagePct', 'Wastage %'],
+    ['knitMin', 'Knitting min / pc'],
+    ['costPerMin', 'CM rate / min (SMV)'],
+  ];
+
+  // Plausibility rules (Settings → Sanity rules); a blank bound is not checked.
+  // Breaking one raises a warning on the preview that must be acknowledged.
+  const SANITY_BANDS = [
+    ['wastagePct', 'Wastage %', '%'],
+    ['yarnPricePerLb', `Yarn price / LBS (${BASE_CURRENCY})`, ` ${BASE_CURRENCY}`],
+    ['cmSharePct', 'CM share of FOB %', '%'],
+  ];
+  const DEFAULT_SANITY_RULES = {
+    weightByGauge: { 3: { min: 450, max: 1200 }, 5: { min: 350, max: 900 }, 7: { min: 250, max: 700 }, 12: { min: 150, max: 450 } },
+    wastagePct: { min: 2, max: 15 },
+    yarnPricePerLb: { min: 1, max: 20 },
+    cmSharePct: { min: 5, max: 45 },
+  };
+
+  // Approval workflow for saved records; an approved record is fully locked
+  const APPROVAL_STATUSES = {
+    draft: { label: 'Draft', badge: 'badge--muted' },
+    submitted: { label: 'Submitted', badge: 'badge--warn' },
+    approved: { label: 'Approved', badge: 'badge--ok' },
+    rejected: { label: 'Rejected', badge: 'badge--danger' },
+  };
+  const APPROVAL_TRANSITIONS = {
+    draft: [{ to: 'submitted', label: 'Submit for approval' }],
+    submitted: [{ to: 'approved', label: 'Approve' }, { to: 'rejected', label: 'Reject' }, { to: 'draft', label: 'Withdraw' }],
+    rejected: [{ to: 'draft', label: 'Reopen as draft' }],
+    approved: [],
+  };
+  const NOT_APPROVED_STAMP = 'DRAFT – NOT APPROVED';
+
+  // Markup layers applied on top of FOB, in order
+  const MARKUP_KINDS = [
+    { value: 'pct', label: '% of running price' },
+    { value: 'doz', label: 'Amount per DOZEN' },
+  ];
+  // Yarn blend: component weight share entered as % of garment weight or in grams
+  const YARN_SHARE_UNITS = [
+    { value: 'pct', label: '% of weight' },
+    { value: 'gm', label: 'grams' },
+  ];
+  const YARN_SHARE_GM_TOLERANCE = 0.5;
+
+  // CM entry modes: typed per dozen, or from SMV minutes × cost per minute
+  const CM_MODES = [
+    { value: 'manual', label: 'Manual CM per dozen' },
+    { value: 'smv', label: 'From SMV minutes' },
+  ];
+  const DEFAULT_EFFICIENCY_PCT = 100;
+
+  // Fabric consumption calculator
+  const FABRIC_MODES = [
+    { value: 'manual', label: 'Enter cost per dozen' },
+    { value: 'consumption', label: 'Calculate from measurements' },
+  ];
+  const FABRIC_UNITS = [
+    { value: 'kg', label: 'Knit — kg (GSM)' },
+    { value: 'yd', label: 'Woven — yards (fabric width)' },
+  ];
+  const FABRIC_FIELDS = [
+    ['bodyLengthCm', 'Body length', 'cm'],
+    ['chestWidthCm', 'Chest width (½ chest)', 'cm'],
+    ['sleeveLengthCm', 'Sleeve length', 'cm'],
+    ['lengthAllowCm', 'Length allowance', 'cm'],
+    ['widthAllowCm', 'Width allowance', 'cm'],
+    ['gsm', 'GSM', 'g/m²'],
+    ['fabricWidthCm', 'Fabric width', 'cm'],
+    ['markerEffPct', 'Marker efficiency', '%'],
+    ['pricePerUnit', 'Fabric price', 'per kg / yd'],
+    ['wastagePct', 'Fabric wastage', '%'],
+  ];
+  const CM2_PER_M2 = 10000;
+  const CM_PER_YARD = 91.44;
+
+  // Incoterm build-up after the final (FOB + markups) price
+  const INCOTERMS = [
+    { value: 'FOB', label: 'FOB — free on board' },
+    { value: 'CFR', label: 'CFR — + freight' },
+    { value: 'CIF', label: 'CIF — + freight + insurance' },
+    { value: 'DDP', label: 'DDP — + freight + insurance + duty + destination handling' },
+  ];
+
+  // Money inputs and process lines are entered per dozen or per piece
+  const MONEY_UNITS = [
+    { value: 'doz', label: 'per dozen' },
+    { value: 'pc', label: 'per piece' },
+  ];
+
+  // Units a BOM line's consumption per dozen can be counted in
+  const ACCESSORY_UNITS = ['pcs', 'set', 'pair', 'yds', 'm', 'cone', 'gross', 'lot'];
+
+  // Packing step inputs: [key, label, unit]
+  const PACKING_FIELDS = [
+    ['lengthCm', 'Carton length', 'cm'],
+    ['widthCm', 'Carton width', 'cm'],
+    ['heightCm', 'Carton height', 'cm'],
+    ['pcsPerCarton', 'Pieces per carton', 'pcs'],
+    ['cartonCost', 'Carton cost', 'per carton'],
+    ['cartonWeightKg', 'Empty carton weight', 'kg'],
+    ['polybagPc', 'Polybag', 'per pc'],
+    ['hangerPc', 'Hanger', 'per pc'],
+    ['tissuePc', 'Tissue', 'per pc'],
+    ['freightPerCbm', 'Freight rate', 'per CBM'],
+  ];
+
+  // Size run defaults for size-wise weights
+  const DEFAULT_SIZES = ['S', 'M', 'L', 'XL', 'XXL'];
+
+  const DEFAULT_MARKUPS = [
+    { label: 'ROC', kind: 'pct', value: 2.5 },
+  ];
 
   // ===========
   // DOM helpers
@@ -79,11 +208,32 @@ const WEIGHT_GM_PER_LB = 453.6;
   }
 
   function formatMoney(n, currency) {
-    const c = currency || DEFAULT_CURRENCY;
+    // Codes print as their symbol; older records stored a free-text symbol
+    const code = currency || DEFAULT_CURRENCY;
+    const c = CURRENCY_SYMBOLS[code] ?? code;
     const v = round2(n);
     return `${c}${v.toFixed(2)}`;
   }
 
+  // Normalise a stored currency (code or legacy symbol) to a 3-letter code.
+  // Unrecognised text is returned as-is (see isKnownCurrency) rather than guessed.
+  function currencyCodeOf(currency) {
+    const c = String(currency || '').trim();
+    if (!c) return DEFAULT_CURRENCY;
+    const alias = LEGACY_CURRENCY_ALIASES[c.toUpperCase()];
+    if (alias) return alias;
+    if (/^[A-Za-z]{3}$/.test(c)) return c.toUpperCase();
+    return c;
+  }
+
+  function isKnownCurrency(currency) {
+    return /^[A-Z]{3}$/.test(currencyCodeOf(currency));
+  }
+
+  function todayIso() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
   function formatPlain(n, decimals = 2) {
     const v = Number(n);
     if (!Number.isFinite(v)) return '—';
@@ -101,13 +251,18 @@ const WEIGHT_GM_PER_LB = 453.6;
   // ===========
   const viewList = $('#viewList');
   const viewWizard = $('#viewWizard');
+  const viewForm = $('#viewForm');
   const viewDetail = $('#viewDetail');
+  const viewSettings = $('#viewSettings');
+  const viewYarns = $('#viewYarns');
+  const viewReprice = $('#viewReprice');
+  const viewTrash = $('#viewTrash');
 
   const btnNew = $('#btnNew');
   const btnNewEmpty = $('#btnNewEmpty');
 
   function showView(view) {
-    [viewList, viewWizard, viewDetail].forEach(v => v?.classList.remove('view--active'));
+    [viewList, viewWizard, viewForm, viewDetail, viewSettings, viewYarns, viewReprice, viewTrash].forEach(v => v?.classList.remove('view--active'));
     view?.classList.add('view--active');
     // Scroll to top for mobile wizard experience
     window.scrollTo({ top: 0, behavior: 'instant' });
@@ -116,8 +271,19 @@ const WEIGHT_GM_PER_LB = 453.6;
   // ===========
   // List view DOM
   // ===========
-  const draftBanner = $('#draftBanner');
+  const draftList = $('#draftList');
   const searchInput = $('#searchInput');
+  const filterBuyer = $('#filterBuyer');
+  const filterSeason = $('#filterSeason');
+  const filterGauge = $('#filterGauge');
+  const filterCalcVersion = $('#filterCalcVersion');
+  const filterCurrency = $('#filterCurrency');
+  const listSort = $('#listSort');
+  const listFilterCount = $('#listFilterCount');
+  const savedViews = $('#savedViews');
+  const btnSaveView = $('#btnSaveView');
+  const btnDeleteView = $('#btnDeleteView');
+  const btnResetFilters = $('#btnResetFilters');
   const btnExport = $('#btnExport');
   const btnImport = $('#btnImport');
   const importFile = $('#importFile');
@@ -135,9 +301,19 @@ const WEIGHT_GM_PER_LB = 453.6;
   const wizardBody = $('#wizardBody');
 
   const btnWizardCancel = $('#btnWizardCancel');
+  const btnWizardToForm = $('#btnWizardToForm');
   const btnPrev = $('#btnPrev');
   const btnNext = $('#btnNext');
 
+  // ===========
+  // Form DOM
+  // ===========
+  const formError = $('#formError');
+  const formBody = $('#formBody');
+  const btnFormSave = $('#btnFormSave');
+  const btnFormCancel = $('#btnFormCancel');
+  const btnFormToWizard = $('#btnFormToWizard');
+
   // ===========
   // Detail DOM
   // ===========
@@ -153,66 +329,634 @@ const WEIGHT_GM_PER_LB = 453.6;
 
   const printRoot = $('#printRoot');
 
+  // ===========
+  // Settings DOM
+  // ===========
+  const btnSettings = $('#btnSettings');
+  const btnBackFromSettings = $('#btnBackFromSettings');
+  const settingsBody = $('#settingsBody');
+
+  // ===========
+  // Yarn library DOM
+  // ===========
+  const btnYarns = $('#btnYarns');
+  const btnBackFromYarns = $('#btnBackFromYarns');
+  const yarnsBody = $('#yarnsBody');
+
+  // ===========
+  // Bulk re-price DOM
+  // ===========
+  const btnReprice = $('#btnReprice');
+  const btnBackFromReprice = $('#btnBackFromReprice');
+  const repriceBody = $('#repriceBody');
+
+  // ===========
+  // Trash DOM
+  // ===========
+  const btnTrash = $('#btnTrash');
+  const btnBackFromTrash = $('#btnBackFromTrash');
+  const trashBody = $('#trashBody');
+
   // ===========
   // App state
   // ===========
   let productsCache = [];
+  let ratesCache = [];
+  let gaugesCache = [];
+  let buyersCache = [];
+  let yarnsCache = [];
+  let currentYarnId = null;
+  let repriceForm = { yarnId: '', buyer: '', gauge: '', from: '', to: '', field: 'yarnPrice', value: '', unit: 'lb', currency: '' };
+  let repriceRows = [];
+  let sanityRules = structuredClone(DEFAULT_SANITY_RULES);
   let currentDetail = null;
 
   // Draft/wizard state (survives refresh via IndexedDB draft record)
   let wizardState = null;
+  let currentDraftId = null;
+  // A new costing as opened (JSON); it is only stored as a draft once it differs
+  let untouchedDraftJson = null;
   let wizardStepIndex = 0;
+  // 'wizard' (one step per screen) or 'form' (all steps on one page), same draft
+  let entryMode = 'wizard';
 
   // ===========
   // Calculation (Factory sheet logic)
   // ===========
+  // Formulas live in calc.js, one frozen engine per calcVersion; the live
+  // calculation is the engine of CALC_VERSION.
+  const CALC_ENGINES = window.GCCalc.engines;
+
   function computeAll(s) {
-    // Weight gm is the weight per piece
-    const weightGm = toNum(s.weightGm);
-    const wastagePct = toNum(s.wastagePct);
-    const yarnPricePerLb = toNum(s.yarnPricePerLb);
+    return CALC_ENGINES[CALC_VERSION](s);
+  }
+
+  // Snapshot values compared when a record is re-derived
+  const RECHECK_KEYS = [
+    ['lbsPerDoz', 'Garments Weight (LBS / Doz)', 'plain'],
+    ['lbsWithWastage', 'LBS incl. wastage', 'plain'],
+    ['yarnCostDoz', 'Yarn Cost (per dozen)', 'money'],
+    ['totalDoz', 'Total cost (per dozen)', 'money'],
+    ['fobPerPc', 'Costing price / FOB (per pc)', 'money'],
+    ['finalPerPc', 'Final price (per pc)', 'money'],
+    ['quotePerPc', 'Quoted price (per pc)', 'money'],
+  ];
+  const RECHECK_TOLERANCE = 0.00001;
+
+  // Re-derive a saved record with its own engine and with the current one.
+  // `mismatches` lists snapshot values the record's engine no longer reproduces.
+  function recheckProduct(product) {
+    const state = productToState(product);
+    state.fx = product.inputs?.fx || null;
+    if (product.calcVersion === 'factorySheet_v1') {
+      state.yarnPricePerLb = product.inputs?.yarnPricePerLb;
+      state.accessoriesCostDoz = product.inputs?.accessoriesCostDoz;
+    }
+
+    const engine = CALC_ENGINES[product.calcVersion];
+    const own = engine ? engine(state) : null;
+    const stored = product.computed || {};
+    const mismatches = own ? RECHECK_KEYS.filter(([key]) => (
+      stored[key] != null && own[key] != null && Math.abs(toNum(stored[key]) - toNum(own[key])) > RECHECK_TOLERANCE
+    )).map(([key, label, format]) => ({ key, label, format, stored: stored[key], recomputed: own[key] })) : [];
+
+    return { engineFound: !!engine, own, mismatches, current: computeAll(state) };
+  }
+
+  function recheckBadgeHtml(check, calcVersion) {
+    if (!check.engineFound) return `<span class="badge badge--muted" title="No engine for ${escapeHtml(calcVersion || '—')}">Unverified</span>`;
+    if (check.mismatches.length) return `<span class="badge badge--warn">Mismatch</span>`;
+    return `<span class="badge badge--ok" title="Recomputed under ${escapeHtml(calcVersion)}">Audited</span>`;
+  }
+
+  // Stored snapshot vs the same inputs under the current CALC_VERSION
+  function versionDiffHtml(product, current, currency) {
+    const stored = product.computed || {};
+    const fmt = (v, format) => (v == null ? '—' : (format === 'money' ? formatMoney(v, currency) : formatPlain(v, 2)));
+    const rows = RECHECK_KEYS.map(([key, label, format]) => {
+      // factorySheet_v1 records quoted the final FOB
+      const was = (key === 'quotePerPc') ? (stored.quotePerPc ?? stored.finalPerPc) : stored[key];
+      const now = current[key];
+      const delta = (was != null && now != null) ? toNum(now) - toNum(was) : null;
+      return `
+        <tr class="${delta && Math.abs(delta) > RECHECK_TOLERANCE ? 'total-row' : ''}">
+          <td>${escapeHtml(label)}</td>
+          <td>${escapeHtml(fmt(was, format))}</td>
+          <td>${escapeHtml(fmt(now, format))}</td>
+          <td>${escapeHtml(delta == null ? '—' : `${delta >= 0 ? '+' : ''}${fmt(delta, format)}`)}</td>
+        </tr>
+      `;
+    }).join('');
+
+    return `
+      <table class="table" role="table" aria-label="Version comparison">
+        <thead><tr><th>Particular</th><th>${escapeHtml(product.calcVersion || 'Stored')}</th><th>${escapeHtml(CALC_VERSION)}</th><th>Δ</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  // Ratio-weighted size run (null when size-wise weights are off or incomplete)
+  function sizeRunOf(s) {
+    if (!s.sizeMode || !Array.isArray(s.sizes)) return null;
+    const sizes = s.sizes.filter(z => toNum(z.weightGm) > 0);
+    const totalRatio = sizes.reduce((sum, z) => sum + toNum(z.ratio), 0);
+    if (!(totalRatio > 0)) return null;
+    const avgWeightGm = sizes.reduce((sum, z) => sum + toNum(z.weightGm) * toNum(z.ratio), 0) / totalRatio;
+    return { sizes, totalRatio, avgWeightGm };
+  }
+
+  // Headline price of a saved record: the Incoterm quote (FOB on factorySheet_v1 records)
+  function headlineOf(product) {
+    const incoterm = product.incoterm || 'FOB';
+    const c = product.computed || {};
+    return {
+      incoterm,
+      pricePc: toNum(c.quotePerPc ?? c.finalPerPc),
+      label: (incoterm === 'FOB') ? 'Final FOB cost per piece' : `Final ${incoterm} price per piece`,
+      lines: Array.isArray(c.incotermLines) ? c.incotermLines : [],
+    };
+  }
+
+  // Order metadata shown as pills in detail / PDF: [label, value]
+  function orderPillsOf(product) {
+    return [
+      ['Buyer', product.buyer],
+      ['Season', product.season],
+      ['Brand', product.brand],
+      ['Order qty', product.orderQty == null ? '' : `${product.orderQty} pcs`],
+      ['Delivery', product.deliveryDate],
+    ].filter(([, value]) => value);
+  }
+
+  // ===========
+  // Currency conversion (rates snapshotted on the wizard state / record)
+  // ===========
+  function converterOf(s) {
+    const quote = currencyCodeOf(s.currency);
+    const rates = s.fx?.rates || {};
+    const missing = new Set();
+    const unitsPerBase = (code) => (code === BASE_CURRENCY) ? 1 : (toNum(rates[code]?.unitsPerBase) || null);
+
+    function convert(amount, code) {
+      const from = code ? currencyCodeOf(code) : quote;
+      if (from === quote || !amount) return amount;
+      const a = unitsPerBase(from);
+      const b = unitsPerBase(quote);
+      if (!a) missing.add(from);
+      if (!b) missing.add(quote);
+      return (a && b) ? (amount / a) * b : 0;
+    }
+
+    return { quote, convert, missing };
+  }
+
+  // Currency of a money input line (blank = quote currency)
+  function lineCurrencyOf(s, key) {
+    return currencyCodeOf(s.lineCurrencies?.[key] || s.currency);
+  }
+
+  // Entry unit of a money input: 'doz' (default) or 'pc'
+  function lineUnitOf(s, key) {
+    return (s.lineUnits?.[key] === 'pc') ? 'pc' : 'doz';
+  }
+
+  // Latest rate per currency effective on `asOfIso` (YYYY-MM-DD)
+  function resolveRates(allRates, asOfIso) {
+    const out = {};
+    allRates.forEach((r) => {
+      if (String(r.effectiveDate) > asOfIso) return;
+      const cur = out[r.code];
+      if (!cur || String(r.effectiveDate) > cur.effectiveDate) {
+        out[r.code] = { unitsPerBase: toNum(r.unitsPerBase), effectiveDate: String(r.effectiveDate) };
+      }
+    });
+    return out;
+  }
+
+  async function loadRatesSnapshot() {
+    try {
+      ratesCache = await window.GCDB.getAllRates();
+    } catch (e) {
+      console.warn('Rates load failed', e);
+    }
+    const asOf = todayIso();
+    return { base: BASE_CURRENCY, asOf, rates: resolveRates(ratesCache, asOf) };
+  }
+
+  // Gauge master; seeded with the factory gauges on first use
+  async function loadGauges() {
+    try {
+      gaugesCache = await window.GCDB.getAllGauges();
+      if (!gaugesCache.length) {
+        for (const gauge of GAUGE_OPTIONS) await window.GCDB.putGauge({ gauge, wastagePct: null, knitMin: null, costPerMin: null });
+        gaugesCache = await window.GCDB.getAllGauges();
+      }
+    } catch (e) {
+      console.warn('Gauges load failed', e);
+    }
+    return gaugesCache;
+  }
+
+  // Gauges offered on the style step; `keep` (e.g. a duplicated record's gauge)
+  // stays selectable even after it was removed from the master
+  function gaugeList(keep = null) {
+    const gauges = gaugesCache.length ? gaugesCache.map(g => Number(g.gauge)) : GAUGE_OPTIONS;
+    const extra = Number(keep);
+    return (extra > 0 && !gauges.includes(extra)) ? [...gauges, extra].sort((a, b) => a - b) : gauges;
+  }
+
+  // Copy a gauge's defaults into the wizard state (blank defaults leave inputs alone)
+  function applyGaugePreset(s, gauge) {
+    const preset = gaugesCache.find(g => Number(g.gauge) === Number(gauge));
+    if (!preset) return [];
+    const applied = [];
+    if (preset.wastagePct != null) { s.wastagePct = String(preset.wastagePct); applied.push(`wastage ${formatPlain(preset.wastagePct, 2)}%`); }
+    if (preset.knitMin != null) {
+      s.smv = { ...(s.smv || defaultWizardState().smv), knitMin: String(preset.knitMin) };
+      applied.push(`knitting ${formatPlain(preset.knitMin, 2)} min`);
+    }
+    if (preset.costPerMin != null) {
+      s.smv = { ...(s.smv || defaultWizardState().smv), costPerMin: String(preset.costPerMin) };
+      applied.push(`CM rate ${formatPlain(preset.costPerMin, 4)}/min`);
+    }
+    return applied;
+  }
+
+  async function loadBuyers() {
+    try {
+      buyersCache = await window.GCDB.getAllBuyers();
+    } catch (e) {
+      console.warn('Buyers load failed', e);
+    }
+    return buyersCache;
+  }
+
+  async function loadYarns() {
+    try {
+      yarnsCache = await window.GCDB.getAllYarns();
+    } catch (e) {
+      console.warn('Yarns load failed', e);
+    }
+    return yarnsCache;
+  }
+
+  function yarnLabelOf(yarn) {
+    return [yarn.count, yarn.composition].map(v => String(v || '').trim()).filter(Boolean).join(' ') || 'Unnamed yarn';
+  }
+
+  // Latest dated price on or before `onDate` (ISO yyyy-mm-dd)
+  function currentYarnPriceOf(yarn, onDate = todayIso()) {
+    const prices = (yarn.prices || []).filter(p => p.date <= onDate);
+    return prices.reduce((latest, p) => (!latest || p.date > latest.date ? p : latest), null);
+  }
+
+  // Fill a blend row from a library yarn: description plus its current dated price
+  function applyLibraryYarn(row, yarn) {
+    const price = currentYarnPriceOf(yarn);
+    row.yarnId = yarn.id;
+    row.desc = yarnLabelOf(yarn);
+    row.supplier = yarn.supplier || '';
+    row.priceDate = price ? price.date : '';
+    if (price) {
+      row.price = String(price.price);
+      row.priceUnit = price.unit === 'kg' ? 'kg' : 'lb';
+      row.currency = price.currency || '';
+    }
+  }
+
+  // Copy a buyer's defaults (quote currency, commission %) into the wizard state
+  function applyBuyerDefaults(s, name) {
+    const buyer = buyersCache.find(b => b.name === String(name || '').trim());
+    if (!buyer) return [];
+    const applied = [];
+    if (buyer.currency) { s.currency = currencyCodeOf(buyer.currency); applied.push(`quote in ${s.currency}`); }
+    if (buyer.commissionPct != null) {
+      if (!Array.isArray(s.markups)) s.markups = [];
+      const layer = s.markups.find(m => m.kind === 'pct' && /commission/i.test(String(m.label || '')));
+      if (layer) layer.value = String(buyer.commissionPct);
+      else s.markups.push({ label: 'Buyer commission', kind: 'pct', value: String(buyer.commissionPct) });
+      applied.push(`commission ${formatPlain(buyer.commissionPct, 2)}%`);
+    }
+    return applied;
+  }
+
+  async function loadSanityRules() {
+    try {
+      const saved = await window.GCDB.getSetting('sanityRules');
+      sanityRules = { ...structuredClone(DEFAULT_SANITY_RULES), ...(saved || {}) };
+    } catch (e) {
+      console.warn('Sanity rules load failed', e);
+    }
+    return sanityRules;
+  }
+
+  function bandText(band, unit) {
+    const n = (v) => String(round2(v));
+    if (band.min != null && band.max != null) return `${n(band.min)}–${n(band.max)}${unit}`;
+    return (band.min != null) ? `≥ ${n(band.min)}${unit}` : `≤ ${n(band.max)}${unit}`;
+  }
+
+  function outsideBand(value, band) {
+    if (!band) return false;
+    return (band.min != null && value < band.min) || (band.max != null && value > band.max);
+  }
+
+  // Soft plausibility warnings for a costing: { rule, message }
+  function sanityWarningsOf(s, derived = computeAll(s)) {
+    const warnings = [];
+    const add = (rule, message) => warnings.push({ rule, message });
 
-    const lbsPerDoz = weightGm > 0 ? (weightGm / GM_PER_LB_PER_PIECE_IN_DOZEN) : null;
-    const lbsWithWastage = (lbsPerDoz !== null) ? (lbsPerDoz * (1 + wastagePct / 100)) : null;
+    const weightBand = sanityRules.weightByGauge?.[Number(s.gauge)];
+    if (outsideBand(derived.weightGm, weightBand)) {
+      add('weightByGauge', `Weight ${formatPlain(derived.weightGm, 0)} gm is outside the usual ${s.gauge}gg range (${bandText(weightBand, ' gm')}).`);
+    }
+
+    // Yarn prices are compared per LBS in the base currency
+    const toBase = converterOf({ ...s, currency: BASE_CURRENCY });
+    derived.yarnLines.forEach((y, i, all) => {
+      const title = yarnLineTitle(y, i, all.length);
+      if (outsideBand(y.wastagePct, sanityRules.wastagePct)) {
+        add('wastagePct', `${title} — wastage ${formatPlain(y.wastagePct, 2)}% is outside ${bandText(sanityRules.wastagePct, '%')}.`);
+      }
+      const priceBase = toBase.convert(y.pricePerLb, y.currency);
+      if (!toBase.missing.size && outsideBand(priceBase, sanityRules.yarnPricePerLb)) {
+        add('yarnPricePerLb', `${title} — price ${formatPlain(priceBase, 2)} ${BASE_CURRENCY} / LBS is outside ${bandText(sanityRules.yarnPricePerLb, ` ${BASE_CURRENCY}`)}.`);
+      }
+    });
+
+    if (derived.totalDoz > 0) {
+      const cmSharePct = derived.cmDoz / derived.totalDoz * 100;
+      if (outsideBand(cmSharePct, sanityRules.cmSharePct)) {
+        add('cmSharePct', `CM is ${formatPlain(cmSharePct, 1)}% of FOB, outside ${bandText(sanityRules.cmSharePct, '%')}.`);
+      }
+    }
+
+    return warnings;
+  }
+
+  // Rates actually used by a costing (quote + every input currency), for the record
+  function fxSnapshotFor(s) {
+    const used = new Set([currencyCodeOf(s.currency)]);
+    yarnComponentsOf(s).forEach(y => { if (y.currency) used.add(currencyCodeOf(y.currency)); });
+    Object.values(s.lineCurrencies || {}).forEach(c => { if (c) used.add(currencyCodeOf(c)); });
+
+    const rates = {};
+    used.forEach((code) => {
+      if (code !== BASE_CURRENCY && s.fx?.rates?.[code]) rates[code] = { ...s.fx.rates[code] };
+    });
+    return { base: BASE_CURRENCY, asOf: s.fx?.asOf || todayIso(), rates };
+  }
+
+  // Codes offered in currency pickers: base, every code with a rate, plus `extra`
+  function currencyOptions(...extra) {
+    const codes = new Set([BASE_CURRENCY, ...ratesCache.map(r => r.code), ...extra.filter(Boolean).map(currencyCodeOf)]);
+    return [...codes].sort();
+  }
+
+  function lineUnitSelectHtml(attrs, selected) {
+    return `<select ${attrs}>${MONEY_UNITS.map(u => `<option value="${u.value}" ${u.value === selected ? 'selected' : ''}>${escapeHtml(u.label)}</option>`).join('')}</select>`;
+  }
+
+  // Wires the "Entered per" select (#wLineUnit) of a money step
+  function wireLineUnit(wrap, key, onChange = () => {}) {
+    $('#wLineUnit', wrap)?.addEventListener('change', async (e) => {
+      wizardState.lineUnits = { ...(wizardState.lineUnits || {}), [key]: e.target.value };
+      await onChange();
+      await saveDraft(wizardState);
+    });
+  }
+
+  function currencySelectHtml(attrs, selected) {
+    const code = currencyCodeOf(selected);
+    return `<select ${attrs}>${currencyOptions(code).map(c => `<option value="${escapeHtml(c)}" ${c === code ? 'selected' : ''}>${escapeHtml(c)}</option>`).join('')}</select>`;
+  }
+
+  // "৳550.00 → $5.00" when a line was entered in another currency,
+  // "$0.40/pc → $4.80" when it was entered per piece
+  function moneyLineText(line, quote) {
+    if (!line) return formatMoney(0, quote);
+    const converted = formatMoney(line.value, quote);
+    const otherCurrency = line.currency && currencyCodeOf(line.currency) !== currencyCodeOf(quote);
+    if (line.unit === 'pc') return `${formatMoney(line.entered, line.currency || quote)}/pc → ${converted}`;
+    return otherCurrency ? `${formatMoney(line.amount, line.currency)} → ${converted}` : converted;
+  }
+
+  // "1 USD = 110.0000 BDT (from 2026-10-01)" lines for a record's rate snapshot
+  function fxRatesText(fx) {
+    const rates = fx?.rates || {};
+    return Object.keys(rates).sort().map(code => `1 ${fx.base || BASE_CURRENCY} = ${formatPlain(rates[code].unitsPerBase, 4)} ${code} (from ${rates[code].effectiveDate})`);
+  }
+
+  // Money line of a saved record (factorySheet_v1 records were single-currency)
+  function moneyLineOf(product, key) {
+    const line = product.computed?.moneyLines?.[key];
+    if (line) return line;
+    const amount = (key === 'cmDoz') ? cmDozOf(product) : toNum(product.inputs?.[key]);
+    return { amount, currency: product.currency, value: amount };
+  }
+
+  // Fabric consumption mode (cut & sew panels). Panel area per piece is
+  // (body + sleeve length + length allowance) × (chest width + width allowance)
+  // × 2 (front/back), in cm². Knit fabric is costed by weight (GSM → kg),
+  // woven by length off the roll (fabric width → yards); both ÷ marker efficiency.
+  function fabricOf(s) {
+    if (s.fabricMode !== 'consumption') return null;
+
+    const f = s.fabric || {};
+    const unit = (f.unit === 'yd') ? 'yd' : 'kg';
+    const lengthCm = toNum(f.bodyLengthCm) + toNum(f.sleeveLengthCm) + toNum(f.lengthAllowCm);
+    const widthCm = toNum(f.chestWidthCm) + toNum(f.widthAllowCm);
+    const areaCm2Doz = lengthCm * widthCm * 2 * PIECES_PER_DOZEN;
+    const markerEffPct = toNum(f.markerEffPct);
+    const netDoz = (unit === 'kg')
+      ? (areaCm2Doz / CM2_PER_M2) * toNum(f.gsm) / 1000
+      : (toNum(f.fabricWidthCm) > 0 ? areaCm2Doz / (toNum(f.fabricWidthCm) * CM_PER_YARD) : 0);
+    const consumptionDoz = markerEffPct > 0 ? netDoz / (markerEffPct / 100) : 0;
+    const wastagePct = toNum(f.wastagePct);
+    const consumptionWithWastage = consumptionDoz * (1 + wastagePct / 100);
+    const pricePerUnit = toNum(f.pricePerUnit);
+
+    return {
+      unit,
+      lengthCm,
+      widthCm,
+      gsm: toNum(f.gsm),
+      fabricWidthCm: toNum(f.fabricWidthCm),
+      markerEffPct,
+      consumptionDoz,
+      wastagePct,
+      consumptionWithWastage,
+      pricePerUnit,
+      costDoz: consumptionWithWastage * pricePerUnit,
+    };
+  }
+
+  function fabricBasisText(fabric) {
+    return `${formatPlain(fabric.consumptionDoz, 3)} ${fabric.unit}/doz + ${formatPlain(fabric.wastagePct, 2)}% wastage = ${formatPlain(fabric.consumptionWithWastage, 3)} ${fabric.unit} × ${formatPlain(fabric.pricePerUnit, 4)}/${fabric.unit}`;
+  }
+
+  // Accessories BOM lines of a wizard state (older drafts had one total per dozen)
+  function accessoriesOf(s) {
+    if (Array.isArray(s.accessories)) return s.accessories;
+    const amount = toNum(s.accessoriesCostDoz);
+    return amount > 0 ? [{ item: 'Accessories', consumptionDoz: '1', unit: 'lot', unitPrice: String(amount), supplier: '' }] : [];
+  }
+
+  // BOM lines of a saved record (records before the BOM only kept the total)
+  function accessoryLinesOf(product) {
+    if (Array.isArray(product.inputs?.accessories)) return product.inputs.accessories;
+    return accessoriesOf({ accessoriesCostDoz: product.inputs?.accessoriesCostDoz }).map(a => ({ ...a, consumptionDoz: 1, unitPrice: toNum(a.unitPrice), costDoz: toNum(a.unitPrice) }));
+  }
+
+  function accessoryTableHtml(lines, currency, tableClass, unit = 'doz') {
+    const head = ['Item', unit === 'pc' ? 'Cons. / pc' : 'Cons. / doz', 'Unit price', 'Supplier', 'Cost / doz'];
+    const body = lines.map(a => `
+      <tr>${[
+        a.item || '—',
+        `${formatPlain(a.consumptionDoz, 2)} ${a.unit}`.trim(),
+        formatMoney(a.unitPrice, currency),
+        a.supplier || '—',
+        formatMoney(a.costDoz, currency),
+      ].map(c => `<td>${escapeHtml(String(c))}</td>`).join('')}</tr>
+    `).join('');
+
+    return `
+      <table class="${tableClass}" role="table" aria-label="Accessories BOM">
+        <thead><tr>${head.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+        <tbody>${body}</tbody>
+      </table>
+    `;
+  }
 
-    const yarnCostDoz = (lbsWithWastage !== null) ? (yarnPricePerLb * lbsWithWastage) : null;
+  function processTitle(p, currency) {
+    return `${p.label || 'Process'} (${formatMoney(p.rate, currency)} ${p.basis === 'pc' ? 'per pc' : 'per doz'})`;
+  }
+
+  // Process lines of a saved record (none on factorySheet_v1 records)
+  function processLinesOf(product) {
+    return Array.isArray(product.computed?.processLines) ? product.computed.processLines : [];
+  }
+
+  // Packing / CBM rows of a saved record (none on factorySheet_v1 records)
+  function packingRowsOf(product, currency, suffix = '') {
+    if (!product.computed?.packing) return [];
+    return [
+      [`Packing${suffix}`, moneyLineText(moneyLineOf(product, 'packingDoz'), currency)],
+      ...(product.computed.packing.freightPerCbm > 0 ? [[`CBM freight${suffix}`, moneyLineText(moneyLineOf(product, 'cbmFreightDoz'), currency)]] : []),
+    ];
+  }
 
-    const accessoriesCostDoz = toNum(s.accessoriesCostDoz);
-    const fabricDoz = toNum(s.fabricDoz);
-    const fabricCostDoz = toNum(s.fabricCostDoz);
-    const fabricAttachCostDoz = toNum(s.fabricAttachCostDoz);
-    const cmDoz = toNum(s.cmDoz);
+  function cartonText(packing) {
+    return `${packing.pcsPerCarton} pcs • ${formatPlain(packing.cbmPerCarton, 4)} CBM • ${formatPlain(packing.grossKgPerCarton, 2)} kg gross`;
+  }
 
-    const totalDoz = (yarnCostDoz ?? 0) + accessoriesCostDoz + fabricDoz + fabricCostDoz + fabricAttachCostDoz + cmDoz;
-    const fobPerPc = round2(totalDoz / PIECES_PER_DOZEN);
+  // SMV mode: (knitting + linking + other minutes per piece) × cost per minute,
+  // grossed up for factory efficiency, × 12 pieces
+  function cmOf(s) {
+    if (s.cmMode !== 'smv') return { cmDoz: toNum(s.cmDoz), smv: null };
 
-    const rocPct = FIXED_ROC_PCT; // locked per factory standard
-    const finalPerPc = round2(fobPerPc * (1 + rocPct / 100));
+    const smv = s.smv || {};
+    const knitMin = toNum(smv.knitMin);
+    const linkMin = toNum(smv.linkMin);
+    const otherMin = toNum(smv.otherMin);
+    const totalMin = knitMin + linkMin + otherMin;
+    const costPerMin = toNum(smv.costPerMin);
+    const efficiencyPct = toNum(smv.efficiencyPct);
+    const cmPc = efficiencyPct > 0 ? (totalMin * costPerMin) / (efficiencyPct / 100) : 0;
 
     return {
-      lbsPerDoz,
-      lbsWithWastage,
-      yarnCostDoz,
-      totalDoz,
-      fobPerPc,
-      finalPerPc,
-      rocPct,
+      cmDoz: cmPc * PIECES_PER_DOZEN,
+      smv: { knitMin, linkMin, otherMin, totalMin, costPerMin, efficiencyPct, cmPc },
     };
   }
 
+  // CM per dozen of a saved record (factorySheet_v1 records kept it in inputs only)
+  function cmDozOf(product) {
+    return toNum(product.computed?.cmDoz ?? product.inputs?.cmDoz);
+  }
+
+  function cmModeLabel(smv) {
+    if (!smv) return 'Manual';
+    return `SMV ${formatPlain(smv.totalMin, 2)} min × ${formatPlain(smv.costPerMin, 4)}/min ÷ ${formatPlain(smv.efficiencyPct, 1)}% eff.`;
+  }
+
+  // Yarn components of a wizard state (states from before blends had one yarn)
+  function yarnComponentsOf(s) {
+    if (Array.isArray(s.yarns)) return s.yarns;
+    return [{ desc: s.yarnDesc || '', share: 100, price: s.yarnPricePerLb ?? '', wastagePct: '' }];
+  }
+
+  function yarnDescOf(yarns, shareUnit) {
+    const named = yarns.filter(y => String(y.desc || '').trim());
+    if (named.length === 1) return String(named[0].desc).trim();
+    return named.map(y => `${formatPlain(toNum(y.share), shareUnit === 'gm' ? 0 : 1)}${shareUnit === 'gm' ? ' gm' : '%'} ${String(y.desc).trim()}`).join(' + ');
+  }
+
+  // Yarn lines of a saved record (factorySheet_v1 records had a single yarn)
+  function yarnLinesOf(product) {
+    const c = product.computed || {};
+    if (Array.isArray(c.yarnLines)) return c.yarnLines;
+    const inputs = product.inputs || {};
+    return [{
+      desc: product.yarnDesc || '',
+      sharePct: 100,
+      gm: toNum(product.weightGm),
+      pricePerLb: toNum(inputs.yarnPricePerLb),
+      wastagePct: toNum(inputs.wastagePct),
+      lbsPerDoz: c.lbsPerDoz ?? null,
+      lbsWithWastage: c.lbsWithWastage ?? null,
+      costDoz: c.yarnCostDoz ?? null,
+    }];
+  }
+
+  // Per-KG prices show the LBS price the engine used next to them
+  function yarnPriceText(line) {
+    const code = line.currency ? ` ${currencyCodeOf(line.currency)}` : '';
+    if (line.priceUnit === 'kg') return `${formatPlain(line.price, 4)}${code} / KG (= ${formatPlain(line.pricePerLb, 4)} / LBS)`;
+    return `${formatPlain(line.pricePerLb, 4)}${code}`;
+  }
+
+  function yarnPriceUnitLabel(line) {
+    return (line.priceUnit === 'kg') ? 'KG' : 'LBS';
+  }
+
+  function yarnLineTitle(line, i, count) {
+    const name = line.desc || `Yarn ${i + 1}`;
+    return (count > 1) ? `Yarn ${i + 1}: ${name} (${formatPlain(line.sharePct, 1)}%)` : `Yarn: ${name}`;
+  }
+
+  // Markup lines of a saved record (factorySheet_v1 records applied the locked ROC only)
+  function markupLinesOf(product) {
+    const c = product.computed || {};
+    if (Array.isArray(c.markupLines)) return c.markupLines;
+    const finalPerPc = toNum(c.finalPerPc);
+    return [{ label: 'ROC', kind: 'pct', value: LEGACY_ROC_PCT, amountPc: finalPerPc - toNum(c.fobPerPc), pricePc: finalPerPc }];
+  }
+
+  function markupTitle(line, currency) {
+    const label = line.label || 'Markup';
+    return (line.kind === 'doz')
+      ? `${label} (${formatMoney(line.value, currency)}/doz)`
+      : `${label} (${formatPlain(line.value, 2)}%)`;
+  }
+
   // ===========
   // Validation
   // ===========
+  // Errors go to the alert of whichever entry view (wizard / form) is open
   function showWizardError(msg) {
-    if (!wizardError) return;
-    wizardError.textContent = msg;
-    show(wizardError);
+    const el = (entryMode === 'form') ? formError : wizardError;
+    if (!el) return;
+    el.textContent = msg;
+    show(el);
   }
 
   function clearWizardError() {
-    if (!wizardError) return;
-    hide(wizardError);
-    wizardError.textContent = '';
+    const el = (entryMode === 'form') ? formError : wizardError;
+    if (!el) return;
+    hide(el);
+    el.textContent = '';
   }
 
   function isPercentValid(x) {
@@ -225,14 +969,154 @@ const WEIGHT_GM_PER_LB = 453.6;
     return Number.isFinite(n) && n >= 0;
   }
 
+  function validateYarnBlend(s) {
+    const yarns = yarnComponentsOf(s);
+    if (!yarns.length) return { ok: false, message: 'Add at least one yarn component.' };
+
+    for (let i = 0; i < yarns.length; i++) {
+      if (!String(yarns[i].desc || '').trim()) return { ok: false, message: `Yarn ${i + 1}: description is required.` };
+      if (!(toNum(yarns[i].share) > 0)) return { ok: false, message: `Yarn ${i + 1}: weight share must be greater than 0.` };
+    }
+
+    const total = yarns.reduce((sum, y) => sum + toNum(y.share), 0);
+    if (s.yarnShareUnit === 'gm') {
+      if (s.sizeMode) return { ok: true }; // grams act as proportions across the size run
+      const weightGm = toNum(s.weightGm);
+      if (Math.abs(total - weightGm) > YARN_SHARE_GM_TOLERANCE) {
+        return { ok: false, message: `Yarn grams add up to ${formatPlain(total, 2)} gm but the garment weighs ${formatPlain(weightGm, 2)} gm.` };
+      }
+    } else if (Math.abs(total - 100) > 0.01) {
+      return { ok: false, message: `Yarn shares add up to ${formatPlain(total, 2)}%. They must total 100%.` };
+    }
+    return { ok: true };
+  }
+
   function validateStep(step, s) {
     // Returns { ok: boolean, message?: string }
     if (step.kind === 'style') {
       if (!String(s.styleName || '').trim()) return { ok: false, message: 'Style Name is required.' };
-      if (!String(s.yarnDesc || '').trim()) return { ok: false, message: 'Yarn Description is required.' };
       if (!s.photo?.blob) return { ok: false, message: 'Product Photo is required.' };
-      if (!GAUGE_OPTIONS.includes(Number(s.gauge))) return { ok: false, message: 'Please select a Gauge.' };
-      if (!(toNum(s.weightGm) > 0)) return { ok: false, message: 'Garment Weight (grams) must be greater than 0.' };
+      if (!gaugeList(s.gauge).includes(Number(s.gauge))) return { ok: false, message: 'Please select a Gauge.' };
+      if (!isKnownCurrency(s.currency)) return { ok: false, message: `Currency "${currencyCodeOf(s.currency)}" is not recognised. Please pick the quote currency.` };
+      if (!s.sizeMode && !(toNum(s.weightGm) > 0)) return { ok: false, message: 'Garment Weight (grams) must be greater than 0.' };
+      if (s.orderQty !== '' && s.orderQty != null && !(isNonNegativeNumber(s.orderQty) && Number.isInteger(Number(s.orderQty)))) return { ok: false, message: 'Order quantity must be a whole number of pieces.' };
+      return validateYarnBlend(s);
+    }
+
+    if (step.kind === 'cm') {
+      if (s.cmMode !== 'smv') {
+        const v = (s.cmDoz ?? '');
+        if (v === '' || v === null || v === undefined) return { ok: false, message: `${step.title} is required.` };
+        if (!isNonNegativeNumber(v)) return { ok: false, message: `${step.title} must be a non-negative number.` };
+        return { ok: true };
+      }
+      const smv = s.smv || {};
+      for (const [key, label] of [['knitMin', 'Knitting minutes'], ['linkMin', 'Linking minutes'], ['otherMin', 'Other process minutes'], ['costPerMin', 'Cost per minute']]) {
+        if (smv[key] !== '' && smv[key] !== null && smv[key] !== undefined && !isNonNegativeNumber(smv[key])) return { ok: false, message: `${label} must be a non-negative number.` };
+      }
+      if (!(toNum(smv.knitMin) + toNum(smv.linkMin) + toNum(smv.otherMin) > 0)) return { ok: false, message: 'Enter the SMV minutes (knitting, linking or other).' };
+      if (smv.costPerMin === '' || smv.costPerMin === null || smv.costPerMin === undefined) return { ok: false, message: 'Cost per minute is required.' };
+      if (!(toNum(smv.efficiencyPct) > 0) || !isPercentValid(smv.efficiencyPct)) return { ok: false, message: 'Efficiency % must be above 0 and at most 100.' };
+      return { ok: true };
+    }
+
+    if (step.kind === 'fabric') {
+      if (s.fabricMode !== 'consumption') {
+        const v = (s.fabricCostDoz ?? '');
+        if (v !== '' && v !== null && !isNonNegativeNumber(v)) return { ok: false, message: `${step.title} must be a non-negative number.` };
+        return { ok: true };
+      }
+      const f = s.fabric || {};
+      for (const [key, label] of FABRIC_FIELDS) {
+        if (f[key] !== '' && f[key] !== null && f[key] !== undefined && !isNonNegativeNumber(f[key])) return { ok: false, message: `${label} must be a non-negative number.` };
+      }
+      if (!(toNum(f.bodyLengthCm) > 0) || !(toNum(f.chestWidthCm) > 0)) return { ok: false, message: 'Body length and chest width are required.' };
+      if (f.unit === 'yd' && !(toNum(f.fabricWidthCm) > 0)) return { ok: false, message: 'Fabric width is required for woven (yards).' };
+      if (f.unit !== 'yd' && !(toNum(f.gsm) > 0)) return { ok: false, message: 'GSM is required for knit (kg).' };
+      if (!(toNum(f.markerEffPct) > 0) || !isPercentValid(f.markerEffPct)) return { ok: false, message: 'Marker efficiency must be above 0 and at most 100.' };
+      if (!isPercentValid(f.wastagePct === '' ? 0 : f.wastagePct)) return { ok: false, message: 'Fabric wastage must be between 0 and 100.' };
+      if (f.pricePerUnit === '' || f.pricePerUnit === null || f.pricePerUnit === undefined) return { ok: false, message: 'Fabric price is required.' };
+      return { ok: true };
+    }
+
+    if (step.kind === 'accessories') {
+      const lines = accessoriesOf(s);
+      for (let i = 0; i < lines.length; i++) {
+        const a = lines[i];
+        const name = String(a.item || '').trim();
+        if (!name) return { ok: false, message: `Accessory line ${i + 1} needs an item name.` };
+        for (const [key, label] of [['consumptionDoz', 'consumption per dozen'], ['unitPrice', 'unit price']]) {
+          if (a[key] === '' || a[key] === null || a[key] === undefined) return { ok: false, message: `${name}: ${label} is required.` };
+          if (!isNonNegativeNumber(a[key])) return { ok: false, message: `${name}: ${label} must be a non-negative number.` };
+        }
+      }
+      return { ok: true };
+    }
+
+    if (step.kind === 'processes') {
+      const lines = Array.isArray(s.processes) ? s.processes : [];
+      for (let i = 0; i < lines.length; i++) {
+        const p = lines[i];
+        const name = String(p.label || '').trim();
+        if (!name) return { ok: false, message: `Process line ${i + 1} needs a name.` };
+        if (p.value === '' || p.value === null || p.value === undefined) return { ok: false, message: `${name}: cost is required.` };
+        if (!isNonNegativeNumber(p.value)) return { ok: false, message: `${name}: cost must be a non-negative number.` };
+      }
+      return { ok: true };
+    }
+
+    if (step.kind === 'packing') {
+      const p = s.packing || {};
+      for (const [key, label] of PACKING_FIELDS) {
+        if (p[key] !== '' && p[key] !== null && p[key] !== undefined && !isNonNegativeNumber(p[key])) return { ok: false, message: `${label} must be a non-negative number.` };
+      }
+      const pcs = toNum(p.pcsPerCarton);
+      if (pcs && !Number.isInteger(pcs)) return { ok: false, message: 'Pieces per carton must be a whole number.' };
+      if ((toNum(p.cartonCost) > 0 || toNum(p.freightPerCbm) > 0) && !(pcs > 0)) return { ok: false, message: 'Enter pieces per carton to share the carton cost and freight.' };
+      if (toNum(p.freightPerCbm) > 0 && !(toNum(p.lengthCm) > 0 && toNum(p.widthCm) > 0 && toNum(p.heightCm) > 0)) return { ok: false, message: 'Enter the carton dimensions to compute CBM freight.' };
+      return { ok: true };
+    }
+
+    if (step.kind === 'incoterm') {
+      if (!INCOTERMS.some(t => t.value === (s.incoterm || 'FOB'))) return { ok: false, message: 'Please select an Incoterm.' };
+      for (const [key, label] of [['freightPc', 'Freight per piece'], ['destHandlingPc', 'Destination handling per piece']]) {
+        if (s[key] !== '' && s[key] !== null && s[key] !== undefined && !isNonNegativeNumber(s[key])) return { ok: false, message: `${label} must be a non-negative number.` };
+      }
+      for (const [key, label] of [['insurancePct', 'Insurance %'], ['dutyPct', 'Import duty %']]) {
+        if (s[key] !== '' && s[key] !== null && s[key] !== undefined && !isPercentValid(s[key])) return { ok: false, message: `${label} must be between 0 and 100.` };
+      }
+      return { ok: true };
+    }
+
+    if (step.kind === 'weight') {
+      if (!s.sizeMode) {
+        if (!(toNum(s.weightGm) > 0)) return { ok: false, message: 'Garment Weight (grams) must be greater than 0.' };
+        return { ok: true };
+      }
+      const sizes = Array.isArray(s.sizes) ? s.sizes : [];
+      if (!sizes.length) return { ok: false, message: 'Add at least one size.' };
+      for (let i = 0; i < sizes.length; i++) {
+        const z = sizes[i];
+        const name = String(z.size || '').trim();
+        if (!name) return { ok: false, message: `Size ${i + 1} needs a name.` };
+        if (!(toNum(z.weightGm) > 0)) return { ok: false, message: `${name}: weight must be greater than 0.` };
+        if (!isNonNegativeNumber(z.ratio === '' ? 0 : z.ratio)) return { ok: false, message: `${name}: ratio must be a non-negative number.` };
+      }
+      if (!sizeRunOf(s)) return { ok: false, message: 'Enter an order ratio for at least one size.' };
+      return { ok: true };
+    }
+
+    if (step.kind === 'yarnPrices') {
+      const yarns = yarnComponentsOf(s);
+      for (let i = 0; i < yarns.length; i++) {
+        const y = yarns[i];
+        const name = String(y.desc || '').trim() || `Yarn ${i + 1}`;
+        if (y.price === '' || y.price === null || y.price === undefined) return { ok: false, message: `${name}: price / ${yarnPriceUnitLabel(y)} is required.` };
+        if (!isNonNegativeNumber(y.price)) return { ok: false, message: `${name}: price / ${yarnPriceUnitLabel(y)} must be a non-negative number.` };
+        if (y.wastagePct !== '' && y.wastagePct !== null && y.wastagePct !== undefined && !isPercentValid(y.wastagePct)) {
+          return { ok: false, message: `${name}: wastage must be between 0 and 100.` };
+        }
+      }
       return { ok: true };
     }
 
@@ -255,7 +1139,28 @@ const WEIGHT_GM_PER_LB = 453.6;
       return { ok: true };
     }
 
-    // computed/preview always ok
+    if (step.kind === 'markups') {
+      const layers = Array.isArray(s.markups) ? s.markups : [];
+      for (let i = 0; i < layers.length; i++) {
+        const m = layers[i];
+        const name = String(m.label || '').trim() || `Layer ${i + 1}`;
+        if (!String(m.label || '').trim()) return { ok: false, message: `Markup layer ${i + 1} needs a name.` };
+        if (m.value === '' || m.value === null || m.value === undefined) return { ok: false, message: `${name} value is required.` };
+        if (m.kind === 'pct' && !isPercentValid(m.value)) return { ok: false, message: `${name} must be between 0 and 100%.` };
+        if (!isNonNegativeNumber(m.value)) return { ok: false, message: `${name} must be a non-negative number.` };
+      }
+      return { ok: true };
+    }
+
+    if (step.kind === 'preview') {
+      const derived = computeAll(s);
+      if (derived.fxMissing.length) return { ok: false, message: `No exchange rate for ${derived.fxMissing.join(', ')}. Add it in Settings → Exchange rates.` };
+      const open = sanityWarningsOf(s, derived).filter(w => !s.sanityAcks?.[w.message]);
+      if (open.length) return { ok: false, message: `Please acknowledge the ${open.length} sanity warning(s) on the preview before saving.` };
+      return { ok: true };
+    }
+
+    // computed always ok
     return { ok: true };
   }
 
@@ -305,26 +1210,51 @@ const WEIGHT_GM_PER_LB = 453.6;
   // ===========
   // Draft persistence (IndexedDB)
   // ===========
-  async function loadDraft() {
+  // Any number of drafts; the open one is `currentDraftId`. A draft is named
+  // after its style unless renamed (state.draftName).
+  function draftNameOf(state) {
+    return String(state?.draftName || state?.styleName || '').trim() || 'Untitled costing';
+  }
+
+  async function loadDraft(id) {
     try {
-      const d = await window.GCDB.getDraft(DRAFT_ID);
+      const d = await window.GCDB.getDraft(id);
       return d?.data || null;
     } catch {
       return null;
     }
   }
 
+  async function loadDrafts() {
+    try {
+      return await window.GCDB.getAllDrafts();
+    } catch {
+      return [];
+    }
+  }
+
+  // Comparable form of a state for untouchedDraftJson (the entry mode is not an edit)
+  function draftJsonOf(state) {
+    return JSON.stringify({ ...state, entryMode: null });
+  }
+
   async function saveDraft(state) {
+    if (!state) return;
+    if (untouchedDraftJson !== null) {
+      if (draftJsonOf(state) === untouchedDraftJson) return;
+      untouchedDraftJson = null;
+    }
+    if (!currentDraftId) currentDraftId = uuid();
     try {
-      await window.GCDB.putDraft({ id: DRAFT_ID, updatedAt: new Date().toISOString(), data: state });
+      await window.GCDB.putDraft({ id: currentDraftId, name: draftNameOf(state), updatedAt: new Date().toISOString(), data: state });
     } catch (e) {
       console.warn('Draft save failed', e);
     }
   }
 
-  async function clearDraft() {
+  async function clearDraft(id = currentDraftId) {
     try {
-      await window.GCDB.clearDraft(DRAFT_ID);
+      await window.GCDB.clearDraft(id);
     } catch (e) {
       console.warn('Draft clear failed', e);
     }
@@ -341,53 +1271,89 @@ const WEIGHT_GM_PER_LB = 453.6;
       hint: 'All fields are required. This is the base style data for all calculations.',
     },
 
-    { id: 'yarnPricePerLb', kind: 'number', key: 'yarnPricePerLb', required: true, title: 'Yarn price / LBS', hint: 'Enter yarn price per pound (LBS).' },
-    { id: 'weightGm', kind: 'number', key: 'weightGm', required: true, title: 'Garments Weight (grams)', hint: 'Weight per piece in grams (gm).' },
+    { id: 'yarnPrices', kind: 'yarnPrices', title: 'Yarn price', hint: 'Enter the price of each yarn per pound (LBS) or per KG, as the spinner quotes it. Wastage % is optional per yarn; blank uses the style wastage %.' },
+    { id: 'weightGm', kind: 'weight', title: 'Garments Weight (grams)', hint: 'Weight per piece in grams (gm). Switch on size-wise weights to enter a size run with an order ratio.' },
 
     { id: 'lbsPerDoz', kind: 'computed', title: 'Garments Weight (LBS / Doz)', hint: 'Auto-calculated: LBS/Doz = Weight(gm) ÷ 37.8' },
-    { id: 'wastagePct', kind: 'percent', key: 'wastagePct', required: true, title: 'Wastage %', hint: 'Enter wastage percentage (0–100).' },
+    { id: 'wastagePct', kind: 'percent', key: 'wastagePct', required: true, title: 'Wastage %', hint: 'Enter wastage percentage (0–100). Applies to every yarn without its own wastage %.' },
 
     { id: 'lbsWithWastage', kind: 'computed', title: 'Garments Weight LBS (Including Wastage @ %)', hint: 'Auto-calculated: LBS incl wastage = LBS/Doz × (1 + Wastage%)' },
-    { id: 'yarnCostDoz', kind: 'computed', title: 'Yarn Cost', hint: 'Auto-calculated: Yarn Cost = Yarn Price/LBS × LBS (incl wastage).' },
+    { id: 'yarnCostDoz', kind: 'computed', title: 'Yarn Cost', hint: 'Auto-calculated: Σ (Yarn Price/LBS × LBS incl wastage) over all yarns.' },
 
-    { id: 'accessoriesCostDoz', kind: 'moneyDoz', key: 'accessoriesCostDoz', required: false, title: 'Accessories Cost', hint: 'Enter cost per DOZEN. Blank is treated as 0.' },
-    { id: 'fabricDoz', kind: 'moneyDoz', key: 'fabricDoz', required: false, title: 'Fabric', hint: 'Enter cost per DOZEN (if any). Blank is treated as 0.' },
-    { id: 'fabricCostDoz', kind: 'moneyDoz', key: 'fabricCostDoz', required: false, title: 'Fabric Cost', hint: 'Enter cost per DOZEN. Blank is treated as 0.' },
-    { id: 'fabricAttachCostDoz', kind: 'moneyDoz', key: 'fabricAttachCostDoz', required: false, title: 'Fabric Attachment CM', hint: 'Enter cost per DOZEN. Blank is treated as 0.' },
+    { id: 'accessoriesCostDoz', kind: 'accessories', title: 'Accessories (bill of materials)', hint: 'One line per item: consumption per DOZEN (or per piece) × unit price. Lines total into the accessories cost per dozen. Leave empty if none.' },
+    { id: 'fabricDoz', kind: 'moneyDoz', key: 'fabricDoz', required: false, title: 'Fabric', hint: 'Enter cost per DOZEN or per piece (if any). Blank is treated as 0.' },
+    { id: 'fabricCostDoz', kind: 'fabric', key: 'fabricCostDoz', title: 'Fabric Cost', hint: 'Enter cost per DOZEN or per piece (blank is treated as 0), or calculate it from the garment measurements, fabric price and fabric wastage.' },
+    { id: 'fabricAttachCostDoz', kind: 'moneyDoz', key: 'fabricAttachCostDoz', required: false, title: 'Fabric Attachment CM', hint: 'Enter cost per DOZEN or per piece. Blank is treated as 0.' },
 
-    { id: 'timingMin', kind: 'int', key: 'timingMin', required: false, title: 'Timing', hint: 'Minutes (informational). Does not affect calculation unless you change CM.' },
-    { id: 'cmDoz', kind: 'moneyDoz', key: 'cmDoz', required: true, title: 'CM', hint: 'Enter CM cost per DOZEN (Cut & Make).' },
+    { id: 'processes', kind: 'processes', title: 'Process & embellishment', hint: 'Wash, piece dye, print, embroidery, beading, testing… one line each, priced per dozen or per piece. Leave empty if none.' },
+    { id: 'packing', kind: 'packing', title: 'Packing & carton', hint: 'Carton cost is shared over the pieces per carton; polybag, hanger and tissue are per PIECE. A freight rate per CBM adds sea freight per piece to the cost. Leave blank if not needed.' },
 
-    { id: 'fobPerPc', kind: 'computed', title: 'Costing price / FOB', hint: 'Auto-calculated: (Total cost per dozen) ÷ 12' },
-    { id: 'rocPct', kind: 'computed', title: 'Final (ROC 2.50%)', hint: 'Auto-calculated: FOB × (1 + 2.50%)' },
+    { id: 'timingMin', kind: 'int', key: 'timingMin', required: false, title: 'Timing', hint: 'Minutes (informational). To derive CM from minutes, choose SMV mode on the CM step.' },
+    { id: 'cmDoz', kind: 'cm', key: 'cmDoz', required: true, title: 'CM', hint: 'Enter CM cost per DOZEN or per piece (Cut & Make), or derive it from SMV minutes × cost per minute.' },
 
+    { id: 'fobPerPc', kind: 'computed', title: 'Costing price / FOB', hint: 'Auto-calculated: (Total cost per dozen) ÷ 12' },
+    { id: 'markups', kind: 'markups', title: 'Markup layers (ROC, commission, charges)', hint: 'Applied on top of FOB in this order. A % layer applies to the running price; an amount layer adds a fixed cost per DOZEN.' },
+    { id: 'finalPerPc', kind: 'computed', title: 'Final price', hint: 'Auto-calculated: FOB + each markup layer in order' },
+    { id: 'incoterm', kind: 'incoterm', title: 'Incoterm (quoted price basis)', hint: 'Choose what the quoted price includes. Freight and handling are per PIECE in the quote currency; insurance and duty are % of the running value. Leave freight blank if it is already costed per CBM on the packing step.' },
 
     { id: 'preview', kind: 'preview', title: 'Preview & Calculate Final FOB', hint: 'Review every value. You can tap any row to jump back and edit.' },
   ];
 
+  function stepIndexOf(id) {
+    return Math.max(0, STEPS.findIndex(x => x.id === id));
+  }
+
   function defaultWizardState() {
     return {
       // style info
       styleName: '',
-      yarnDesc: '',
+      yarns: [{ yarnId: '', desc: '', share: 100, price: '', priceUnit: 'lb', wastagePct: '' }],
+      yarnShareUnit: 'pct',
       composition: '', // optional (shown on output)
+      // order (optional; buyer defaults come from the buyer master)
+      buyer: '',
+      season: '',
+      brand: '',
+      orderQty: '',
+      deliveryDate: '',
       gauge: null,
       weightGm: '',
+      sizeMode: false,
+      sizes: DEFAULT_SIZES.map(size => ({ size, weightGm: '', ratio: '1' })),
+      sizeWisePricing: false,
       photo: null, // { blob, width, height, type }
 
-      currency: DEFAULT_CURRENCY,
+      currency: DEFAULT_CURRENCY,    // quote currency code
+      lineCurrencies: {},            // input key -> currency code (blank = quote)
+      lineUnits: {},                 // input key -> 'doz' | 'pc' (blank = per dozen)
+      fx: null,                      // { base, asOf, rates } snapshot used by computeAll
+      notes: [],                     // { text, createdAt } e.g. target-price solver results
+      sanityAcks: {},                // sanity warning message -> acknowledged at (ISO)
+      parentId: null,                // record this costing was duplicated from
+      revision: 1,
 
       // costing inputs
-      yarnPricePerLb: '',
       wastagePct: 8,            // common default, user can change
-      accessoriesCostDoz: 0,
+      accessories: [],          // { item, consumptionDoz, unit, unitPrice, supplier }
+      processes: [],            // { label, basis: 'doz' | 'pc', value }
       fabricDoz: 0,
       fabricCostDoz: 0,
+      fabricMode: 'manual',
+      fabric: { ...Object.fromEntries(FABRIC_FIELDS.map(([key]) => [key, ''])), unit: 'kg', markerEffPct: '100' },
       fabricAttachCostDoz: 0,
       timingMin: 0,
+      cmMode: 'manual',
       cmDoz: 0,
-      rocPct: FIXED_ROC_PCT,
-    
+      smv: { knitMin: '', linkMin: '', otherMin: '', costPerMin: '', efficiencyPct: String(DEFAULT_EFFICIENCY_PCT) },
+      packing: Object.fromEntries(PACKING_FIELDS.map(([key]) => [key, ''])),
+      markups: structuredClone(DEFAULT_MARKUPS),
+
+      // price basis after markups
+      incoterm: 'FOB',
+      freightPc: '',
+      insurancePct: '',
+      dutyPct: '',
+      destHandlingPc: '',
     };
   }
 
@@ -410,6 +1376,9 @@ const WEIGHT_GM_PER_LB = 453.6;
     clearWizardError();
     updateProgressUI();
 
+    // Re-snapshot rates so edits made in Settings apply to the open costing
+    wizardState.fx = await loadRatesSnapshot();
+
     const step = STEPS[wizardStepIndex];
     wizardTitleLine.textContent = step.title;
 
@@ -421,25 +1390,61 @@ const WEIGHT_GM_PER_LB = 453.6;
 
     // Render body
     wizardBody.innerHTML = '';
-    const s = wizardState;
+    wizardBody.appendChild(renderStepBody(step, wizardState));
+  }
 
+  // One step's inputs; shared by the wizard and the single-page form
+  function renderStepBody(step, s) {
     if (step.kind === 'style') {
-      wizardBody.appendChild(renderStepStyleInfo(s));
-      return;
+      return renderStepStyleInfo(s);
     }
 
     if (step.kind === 'preview') {
-      wizardBody.appendChild(renderStepPreview(s));
-      return;
+      return renderStepPreview(s);
     }
 
     if (step.kind === 'computed') {
-      wizardBody.appendChild(renderStepComputed(step, s));
-      return;
+      return renderStepComputed(step, s);
+    }
+
+    if (step.kind === 'markups') {
+      return renderStepMarkups(step, s);
+    }
+
+    if (step.kind === 'yarnPrices') {
+      return renderStepYarnPrices(step, s);
+    }
+
+    if (step.kind === 'weight') {
+      return renderStepWeight(step, s);
+    }
+
+    if (step.kind === 'cm') {
+      return renderStepCm(step, s);
+    }
+
+    if (step.kind === 'fabric') {
+      return renderStepFabric(step, s);
+    }
+
+    if (step.kind === 'accessories') {
+      return renderStepAccessories(step, s);
+    }
+
+    if (step.kind === 'processes') {
+      return renderStepProcesses(step, s);
+    }
+
+    if (step.kind === 'packing') {
+      return renderStepPacking(step, s);
+    }
+
+    if (step.kind === 'incoterm') {
+      return renderStepIncoterm(step, s);
     }
 
     // number/money/percent/int
-    wizardBody.appendChild(renderStepInput(step, s));
+    return renderStepInput(step, s);
   }
 
   function renderStepStyleInfo(s) {
@@ -458,8 +1463,12 @@ const WEIGHT_GM_PER_LB = 453.6;
       </div>
 
       <div class="field">
-        <label class="label">Yarn Description <span class="req">*</span></label>
-        <textarea id="wYarnDesc" class="input input--textarea" rows="3" placeholder="e.g., 70% viscose / 30% polyamide, 2/30Nm">${escapeHtml(s.yarnDesc)}</textarea>
+        <label class="label">Yarn components <span class="req">*</span></label>
+        <select id="wYarnShareUnit" class="input" style="margin-bottom:10px;">
+          ${YARN_SHARE_UNITS.map(u => `<option value="${u.value}" ${s.yarnShareUnit === u.value ? 'selected' : ''}>Weight share in ${escapeHtml(u.label)}</option>`).join('')}
+        </select>
+        <div id="wYarnBlend"></div>
+        <div class="help">One line per yarn (body, rib/trim, plating…). Shares must total 100% or the garment weight in grams.</div>
       </div>
 
       <div class="field">
@@ -471,19 +1480,46 @@ const WEIGHT_GM_PER_LB = 453.6;
       <div class="field">
         <label class="label">Gauge <span class="req">*</span></label>
         <div id="wGaugePicker" class="gaugePicker"></div>
-        <div class="help">Select one: 3, 5, 7, 12</div>
+        <div id="wGaugeHelp" class="help">Select one. Gauges and their defaults are managed in Settings.</div>
       </div>
 
       <div class="field">
         <label class="label">Garment Weight (grams) <span class="req">*</span></label>
-        <input id="wWeight" class="input" type="number" min="0" step="0.01" placeholder="e.g., 285" value="${escapeHtml(s.weightGm)}" />
+        <input id="wWeight" class="input" type="number" min="0" step="0.01" placeholder="e.g., 285" value="${escapeHtml(s.weightGm)}" ${s.sizeMode ? 'disabled' : ''} />
+        ${s.sizeMode ? '<div class="help">Size-wise weights are on: this is the ratio-weighted average. Edit sizes on the weight step.</div>' : ''}
       </div>
 
       <div class="field">
-        <label class="label">Currency symbol (optional)</label>
-        <input id="wCurrency" class="input" type="text" maxlength="3" placeholder="$" value="${escapeHtml(s.currency || DEFAULT_CURRENCY)}" />
-        <div class="help">Used for display and exports only.</div>
+        <label class="label">Quote currency</label>
+        ${currencySelectHtml('id="wCurrency" class="input"', s.currency)}
+        <div class="help">The final price is quoted in this currency. Inputs in other currencies are converted with the exchange rates in Settings.</div>
+      </div>
+
+      <div class="form__grid">
+        <div class="field">
+          <label class="label">Buyer (optional)</label>
+          <input id="wBuyer" class="input" type="text" list="wBuyerList" placeholder="e.g., H&amp;M" value="${escapeHtml(s.buyer)}" />
+          <datalist id="wBuyerList">${buyersCache.map(b => `<option value="${escapeHtml(b.name)}"></option>`).join('')}</datalist>
+        </div>
+        <div class="field">
+          <label class="label">Season (optional)</label>
+          <input id="wSeason" class="input" type="text" list="wSeasonList" placeholder="e.g., AW26" value="${escapeHtml(s.season)}" />
+          <datalist id="wSeasonList">${seasonsOf(productsCache).map(x => `<option value="${escapeHtml(x)}"></option>`).join('')}</datalist>
+        </div>
+        <div class="field">
+          <label class="label">Brand (optional)</label>
+          <input id="wBrand" class="input" type="text" placeholder="e.g., Divided" value="${escapeHtml(s.brand)}" />
+        </div>
+        <div class="field">
+          <label class="label">Order quantity (pcs)</label>
+          <input id="wOrderQty" class="input" type="number" inputmode="numeric" min="0" step="1" placeholder="optional" value="${escapeHtml(s.orderQty)}" />
+        </div>
+        <div class="field">
+          <label class="label">Delivery date</label>
+          <input id="wDeliveryDate" class="input" type="date" value="${escapeHtml(s.deliveryDate)}" />
+        </div>
       </div>
+      <div id="wBuyerHelp" class="help">Buyers and their defaults (quote currency, commission %) are managed in Settings.</div>
     `;
 
     // Right column: photo box
@@ -515,7 +1551,7 @@ const WEIGHT_GM_PER_LB = 453.6;
 
     // Attach behaviors
     const styleNameEl = $('#wStyleName', wrap);
-    const yarnDescEl = $('#wYarnDesc', wrap);
+    const yarnShareUnitEl = $('#wYarnShareUnit', wrap);
     const compositionEl = $('#wComposition', wrap);
     const weightEl = $('#wWeight', wrap);
     const currencyEl = $('#wCurrency', wrap);
@@ -524,10 +1560,32 @@ const WEIGHT_GM_PER_LB = 453.6;
       wizardState.styleName = styleNameEl.value;
       await saveDraft(wizardState);
     });
-    yarnDescEl.addEventListener('input', async () => {
-      wizardState.yarnDesc = yarnDescEl.value;
+    yarnShareUnitEl.addEventListener('change', async () => {
+      wizardState.yarnShareUnit = yarnShareUnitEl.value;
       await saveDraft(wizardState);
     });
+    const blendEl = $('#wYarnBlend', wrap);
+    blendEl.appendChild(renderRowEditor({
+      rows: wizardState.yarns,
+      columns: [
+        { key: 'yarnId', title: 'Library yarn', type: 'select', options: [{ value: '', label: 'Typed by hand' }].concat(yarnsCache.map(y => ({ value: y.id, label: yarnLabelOf(y) + (y.supplier ? ` (${y.supplier})` : '') }))) },
+        { key: 'desc', title: 'Yarn description', type: 'text', placeholder: 'e.g., 70% viscose / 30% polyamide, 2/30Nm' },
+        { key: 'share', title: 'Share', type: 'number' },
+      ],
+      newRow: () => ({ yarnId: '', desc: '', share: '', price: '', priceUnit: 'lb', wastagePct: '' }),
+      addLabel: 'Add yarn',
+      onChange: async (i, key) => {
+        const row = wizardState.yarns[i];
+        if (key === 'yarnId') {
+          const yarn = yarnsCache.find(y => y.id === row.yarnId);
+          if (yarn) applyLibraryYarn(row, yarn);
+          else Object.assign(row, { yarnId: '', supplier: '', priceDate: '' });
+          const descEl = blendEl.querySelector(`[data-row="${i}"][data-key="desc"]`);
+          if (descEl) descEl.value = row.desc;
+        }
+        await saveDraft(wizardState);
+      },
+    }));
     compositionEl.addEventListener('input', async () => {
       wizardState.composition = compositionEl.value;
       await saveDraft(wizardState);
@@ -536,18 +1594,45 @@ const WEIGHT_GM_PER_LB = 453.6;
       wizardState.weightGm = weightEl.value;
       await saveDraft(wizardState);
     });
-    currencyEl.addEventListener('input', async () => {
-      wizardState.currency = (currencyEl.value || DEFAULT_CURRENCY).trim();
+    currencyEl.addEventListener('change', async () => {
+      wizardState.currency = currencyCodeOf(currencyEl.value);
+      await saveDraft(wizardState);
+    });
+
+    // Order fields; picking a known buyer pre-fills its defaults (still editable)
+    const buyerEl = $('#wBuyer', wrap);
+    buyerEl.addEventListener('change', async () => {
+      const name = buyerEl.value.trim();
+      if (name !== wizardState.buyer) {
+        const applied = applyBuyerDefaults(wizardState, name);
+        if (applied.length) {
+          currencyEl.value = wizardState.currency;
+          $('#wBuyerHelp', wrap).textContent = `Pre-filled from ${name}: ${applied.join(', ')}. You can change them on their steps.`;
+        }
+      }
+      wizardState.buyer = name;
       await saveDraft(wizardState);
     });
+    [['#wSeason', 'season'], ['#wBrand', 'brand'], ['#wOrderQty', 'orderQty'], ['#wDeliveryDate', 'deliveryDate']].forEach(([sel, key]) => {
+      const el = $(sel, wrap);
+      el.addEventListener('input', async () => {
+        wizardState[key] = el.value;
+        await saveDraft(wizardState);
+      });
+    });
 
     // Gauge picker
     const gaugePicker = $('#wGaugePicker', wrap);
-    GAUGE_OPTIONS.forEach((g) => {
+    gaugeList(wizardState.gauge).forEach((g) => {
       const b = document.createElement('div');
       b.className = 'gaugeOption' + (Number(wizardState.gauge) === g ? ' gaugeOption--active' : '');
       b.textContent = String(g);
       b.addEventListener('click', async () => {
+        if (Number(wizardState.gauge) !== g) {
+          // Pre-fill the gauge's defaults; later steps can still override them
+          const applied = applyGaugePreset(wizardState, g);
+          if (applied.length) $('#wGaugeHelp', wrap).textContent = `Pre-filled from ${g}gg: ${applied.join(', ')}. You can change them on their steps.`;
+        }
         wizardState.gauge = g;
         // rerender picker states quickly
         [...gaugePicker.children].forEach(ch => ch.classList.remove('gaugeOption--active'));
@@ -611,22 +1696,38 @@ const WEIGHT_GM_PER_LB = 453.6;
 
     const value = s[step.key] ?? '';
 
-    const labelSuffix = isMoneyDoz ? ` <span class="tag">per DOZEN</span>` : '';
-    const unit = isPercent ? '%' : '';
-
     wrap.innerHTML = `
       <div class="field">
-        <label class="label">${escapeHtml(step.title)}${labelSuffix}</label>
+        <label class="label">${escapeHtml(step.title)}</label>
         <input id="wInput" class="input" type="number" inputmode="decimal" min="0" step="${isInt ? '1' : '0.01'}" placeholder="Enter value" value="${escapeHtml(value)}" />
         <div class="help">${escapeHtml(step.hint || '')}</div>
       </div>
 
+      ${isMoneyDoz ? `
+      <div class="form__grid">
+        <div class="field">
+          <label class="label">Entered per</label>
+          ${lineUnitSelectHtml('id="wLineUnit" class="input"', lineUnitOf(s, step.key))}
+        </div>
+        <div class="field">
+          <label class="label">Entered in</label>
+          ${currencySelectHtml('id="wLineCurrency" class="input"', lineCurrencyOf(s, step.key))}
+        </div>
+      </div>
+      ` : ''}
+
       <div class="stepHint">
-        ${isMoneyDoz ? `Display currency: <strong>${escapeHtml(currency)}</strong> (display only)` : ''}
+        ${isMoneyDoz ? `Converted to per dozen in the quote currency <strong>${escapeHtml(currencyCodeOf(currency))}</strong> for the final price.` : ''}
         ${isPercent ? 'Allowed range: 0–100' : ''}
       </div>
     `;
 
+    $('#wLineCurrency', wrap)?.addEventListener('change', async (e) => {
+      wizardState.lineCurrencies = { ...(wizardState.lineCurrencies || {}), [step.key]: e.target.value };
+      await saveDraft(wizardState);
+    });
+    wireLineUnit(wrap, step.key);
+
     const input = $('#wInput', wrap);
     input.addEventListener('input', async () => {
       // store raw numeric (or empty for optional)
@@ -637,954 +1738,3846 @@ const WEIGHT_GM_PER_LB = 453.6;
         wizardState[step.key] = isInt ? String(Math.max(0, Math.trunc(Number(raw)))) : String(Math.max(0, Number(raw)));
       }
 
-      // For "weightGm" step, keep consistent with style section
-      if (step.key === 'weightGm') {
-        // style weight uses same field
-      }
-
       await saveDraft(wizardState);
     });
 
     return wrap;
   }
 
-  function renderStepComputed(step, s) {
+  // Repeatable input lines (markup layers, etc.). Mutates `rows` in place and
+  // re-renders only itself, so it can sit inside any step without a full redraw.
+  function renderRowEditor({ rows, columns, newRow, addLabel, onChange, reorderable = false, fixedRows = false }) {
     const wrap = document.createElement('div');
-    wrap.className = 'valueRow';
+    wrap.className = 'rowEditor';
+
+    function cellHtml(col, value, i) {
+      if (col.type === 'static') return `<span class="rowEditor__static">${escapeHtml(col.format ? col.format(rows[i], i) : value)}</span>`;
+      const attrs = `class="input input--cell" data-row="${i}" data-key="${escapeHtml(col.key)}"`;
+      if (col.type === 'select') {
+        const opts = col.options.map(o => `<option value="${escapeHtml(o.value)}" ${String(value) === String(o.value) ? 'selected' : ''}>${escapeHtml(o.label)}</option>`).join('');
+        return `<select ${attrs}>${opts}</select>`;
+      }
+      if (col.type === 'number') {
+        return `<input ${attrs} type="number" inputmode="decimal" min="0" step="${col.step || '0.01'}" value="${escapeHtml(value ?? '')}" />`;
+      }
+      return `<input ${attrs} type="text" placeholder="${escapeHtml(col.placeholder || '')}" value="${escapeHtml(value ?? '')}" />`;
+    }
 
-    const derived = computeAll(s);
-    const currency = (s.currency || DEFAULT_CURRENCY);
+    function rerender() {
+      const body = rows.map((r, i) => `
+        <tr>
+          ${columns.map(c => `<td>${cellHtml(c, r[c.key], i)}</td>`).join('')}
+          ${fixedRows ? '' : `
+          <td class="rowEditor__actions">
+            ${reorderable ? `<button class="iconBtn" type="button" data-up="${i}" title="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>` : ''}
+            <button class="iconBtn iconBtn--danger" type="button" data-remove="${i}" title="Remove">✕</button>
+          </td>`}
+        </tr>
+      `).join('');
+      const colCount = columns.length + (fixedRows ? 0 : 1);
+
+      wrap.innerHTML = `
+        <div class="rowEditor__scroll">
+          <table class="table rowEditor__table">
+            <thead><tr>${columns.map(c => `<th>${escapeHtml(c.title)}</th>`).join('')}${fixedRows ? '' : '<th></th>'}</tr></thead>
+            <tbody>${body || `<tr><td colspan="${colCount}" class="muted">No lines yet.</td></tr>`}</tbody>
+          </table>
+        </div>
+        ${fixedRows ? '' : `<button class="btn btn--ghost rowEditor__add" type="button">＋ ${escapeHtml(addLabel)}</button>`}
+      `;
 
-    let valText = '—';
-    let helper = step.hint || '';
+      wrap.querySelectorAll('[data-key]').forEach((el) => {
+        const evt = (el.tagName === 'SELECT') ? 'change' : 'input';
+        el.addEventListener(evt, async () => {
+          const i = Number(el.getAttribute('data-row'));
+          const key = el.getAttribute('data-key');
+          const col = columns.find(c => c.key === key);
+          rows[i][key] = (col?.type === 'number' && el.value !== '') ? String(Math.max(0, Number(el.value))) : el.value;
+          await onChange(i, key);
+        });
+      });
 
-    if (step.id === 'lbsPerDoz') {
-      valText = (derived.lbsPerDoz === null) ? '—' : formatPlain(derived.lbsPerDoz, 2);
-      helper = helper + '  (Unit: LBS/Doz)';
-    }
-    if (step.id === 'lbsWithWastage') {
-      valText = (derived.lbsWithWastage === null) ? '—' : formatPlain(derived.lbsWithWastage, 2);
-      helper = helper + '  (Unit: LBS/Doz incl.)';
-    }
-    if (step.id === 'yarnCostDoz') {
-      valText = (derived.yarnCostDoz === null) ? '—' : formatMoney(derived.yarnCostDoz, currency);
-      helper = helper + '  (Unit: per DOZEN)';
-    }
-    if (step.id === 'fobPerPc') {
-      valText = formatMoney(derived.fobPerPc, currency);
-      helper = helper + '  (Unit: per PIECE)';
-    }
+      wrap.querySelectorAll('[data-remove]').forEach((b) => {
+        b.addEventListener('click', async () => {
+          rows.splice(Number(b.getAttribute('data-remove')), 1);
+          rerender();
+          await onChange();
+        });
+      });
 
-    
-      if (step.id === 'rocPct') {
-      valText = formatMoney(derived.finalPerPc, currency);
-      helper = helper + '  (Unit: per PIECE)';
+      wrap.querySelectorAll('[data-up]').forEach((b) => {
+        b.addEventListener('click', async () => {
+          const i = Number(b.getAttribute('data-up'));
+          [rows[i - 1], rows[i]] = [rows[i], rows[i - 1]];
+          rerender();
+          await onChange();
+        });
+      });
+
+      $('.rowEditor__add', wrap)?.addEventListener('click', async () => {
+        rows.push(newRow());
+        rerender();
+        await onChange();
+      });
     }
-wrap.innerHTML = `
-      <div class="field">
-        <label class="label">${escapeHtml(step.title)}</label>
-        <input class="input" type="text" value="${escapeHtml(valText)}" disabled />
-        <div class="help">${escapeHtml(helper)}</div>
-        <div class="readonlyBadge"><span class="dot"></span>Auto-calculated (read-only)</div>
-      </div>
-    `;
 
+    rerender();
     return wrap;
   }
 
-  function renderStepPreview(s) {
+  function renderStepWeight(step, s) {
     const wrap = document.createElement('div');
+    wrap.className = 'valueRow';
 
-    const derived = computeAll(s);
-    const currency = (s.currency || DEFAULT_CURRENCY);
-
-    const rows = [
-      { title: 'Style Name / Style Number', value: s.styleName, kind: 'input', jump: 0 },
-      { title: 'Yarn Description', value: s.yarnDesc, kind: 'input', jump: 0 },
-      { title: 'Fabric composition', value: s.composition || '—', kind: 'input', jump: 0 },
-      { title: 'Gauge', value: s.gauge ? `${s.gauge}` : '—', kind: 'input', jump: 0 },
-      { title: 'Garments Weight (grams)', value: `${formatPlain(toNum(s.weightGm), 2)} gm`, kind: 'input', jump: 2 },
-
-      { title: 'Yarn price / LBS', value: `${formatPlain(toNum(s.yarnPricePerLb), 4)}`, kind: 'input', jump: 1 },
-      { title: 'Garments Weight (LBS / Doz)', value: derived.lbsPerDoz === null ? '—' : formatPlain(derived.lbsPerDoz, 2), kind: 'auto', jump: 3 },
-      { title: 'Wastage %', value: `${formatPlain(toNum(s.wastagePct), 2)}%`, kind: 'input', jump: 4 },
-      { title: 'Garments Weight LBS (Including Wastage @ %)', value: derived.lbsWithWastage === null ? '—' : formatPlain(derived.lbsWithWastage, 2), kind: 'auto', jump: 5 },
-
-      { title: 'Yarn Cost', value: derived.yarnCostDoz === null ? '—' : `${formatMoney(derived.yarnCostDoz, currency)} (per dozen)`, kind: 'auto', jump: 6 },
-
-      { title: 'Accessories Cost', value: `${formatMoney(toNum(s.accessoriesCostDoz), currency)} (per dozen)`, kind: 'input', jump: 7 },
-      { title: 'Fabric', value: `${formatMoney(toNum(s.fabricDoz), currency)} (per dozen)`, kind: 'input', jump: 8 },
-      { title: 'Fabric Cost', value: `${formatMoney(toNum(s.fabricCostDoz), currency)} (per dozen)`, kind: 'input', jump: 9 },
-      { title: 'Fabric Attachment CM', value: `${formatMoney(toNum(s.fabricAttachCostDoz), currency)} (per dozen)`, kind: 'input', jump: 10 },
-      { title: 'Timing', value: `${Math.trunc(toNum(s.timingMin))} min`, kind: 'input', jump: 11 },
-      { title: 'CM', value: `${formatMoney(toNum(s.cmDoz), currency)} (per dozen)`, kind: 'input', jump: 12 },
-
-      { title: 'Costing price / FOB', value: `${formatMoney(derived.fobPerPc, currency)} / pc`, kind: 'auto', jump: 13 },
-      { title: 'Final (ROC 2.50%)', value: `${formatMoney(derived.finalPerPc, currency)} / pc`, kind: 'auto', jump: 14 },
-    ];
-
-    const tr = rows.map((r) => `
-      <tr data-jump="${r.jump}">
-        <td>${escapeHtml(r.title)} ${r.kind === 'auto' ? '<span class="tag">auto</span>' : '<span class="tag">input</span>'}</td>
-        <td>${escapeHtml(r.value)}</td>
-      </tr>
-    `).join('');
+    if (!Array.isArray(s.sizes)) s.sizes = DEFAULT_SIZES.map(size => ({ size, weightGm: '', ratio: '1' }));
 
     wrap.innerHTML = `
-      <div class="muted" style="margin-bottom:10px;">${escapeHtml(STEPS.find(x => x.id === 'preview')?.hint || '')}</div>
+      <label class="checkRow">
+        <input id="wSizeMode" type="checkbox" ${s.sizeMode ? 'checked' : ''} />
+        <span>Size-wise weights (size run + order ratio)</span>
+      </label>
 
-      <table class="table previewTable" role="table" aria-label="Costing preview">
-        <thead><tr><th>Particular</th><th>Value</th></tr></thead>
-        <tbody>${tr}</tbody>
-      </table>
+      <div id="wSingleWeight" class="field ${s.sizeMode ? 'hidden' : ''}">
+        <label class="label">${escapeHtml(step.title)}</label>
+        <input id="wInput" class="input" type="number" inputmode="decimal" min="0" step="0.01" placeholder="Enter value" value="${escapeHtml(s.weightGm ?? '')}" />
+      </div>
 
-      <div class="previewCTA">
-        <button id="btnJumpList" class="btn btn--ghost" type="button">Back to list</button>
-        <div style="flex:1;"></div>
-        <div class="muted" style="align-self:center;">Final will be saved to your device for audit.</div>
+      <div id="wSizeRun" class="${s.sizeMode ? '' : 'hidden'}">
+        <div id="wSizeTable"></div>
+        <label class="checkRow" style="margin-top:10px;">
+          <input id="wSizeWisePricing" type="checkbox" ${s.sizeWisePricing ? 'checked' : ''} />
+          <span>Show size-wise FOB in the detail view and PDF</span>
+        </label>
       </div>
+
+      <div class="help">${escapeHtml(step.hint || '')}</div>
+      <div id="wWeightSummary" class="stepHint"></div>
     `;
 
-    // Row click => jump to that step
-    wrap.querySelectorAll('tbody tr[data-jump]').forEach((row) => {
-      row.addEventListener('click', async () => {
-        const jump = Number(row.getAttribute('data-jump') || '0');
-        wizardStepIndex = Math.max(0, Math.min(STEPS.length - 1, jump));
-        await renderWizardStep();
-      });
+    const summary = $('#wWeightSummary', wrap);
+    function renderSummary() {
+      const run = sizeRunOf(wizardState);
+      summary.innerHTML = !wizardState.sizeMode ? ''
+        : run ? `Weighted average: <strong>${escapeHtml(formatPlain(run.avgWeightGm, 2))} gm</strong> over ratio ${escapeHtml(formatPlain(run.totalRatio, 2))}`
+          : 'Enter weights and an order ratio to see the weighted average.';
+    }
+
+    // Keep the style-level weight in sync with the size run (used for display and lists)
+    async function syncWeight() {
+      const run = sizeRunOf(wizardState);
+      if (wizardState.sizeMode) wizardState.weightGm = run ? String(round2(run.avgWeightGm)) : '';
+      renderSummary();
+      await saveDraft(wizardState);
+    }
+
+    $('#wSizeTable', wrap).appendChild(renderRowEditor({
+      rows: s.sizes,
+      columns: [
+        { key: 'size', title: 'Size', type: 'text', placeholder: 'e.g., M' },
+        { key: 'weightGm', title: 'Weight (gm)', type: 'number' },
+        { key: 'ratio', title: 'Ratio', type: 'number' },
+      ],
+      newRow: () => ({ size: '', weightGm: '', ratio: '1' }),
+      addLabel: 'Add size',
+      onChange: syncWeight,
+    }));
+
+    $('#wSizeMode', wrap).addEventListener('change', async (e) => {
+      wizardState.sizeMode = e.target.checked;
+      $('#wSingleWeight', wrap).classList.toggle('hidden', wizardState.sizeMode);
+      $('#wSizeRun', wrap).classList.toggle('hidden', !wizardState.sizeMode);
+      await syncWeight();
     });
 
-    $('#btnJumpList', wrap).addEventListener('click', () => {
-      showView(viewList);
+    $('#wSizeWisePricing', wrap).addEventListener('change', async (e) => {
+      wizardState.sizeWisePricing = e.target.checked;
+      await saveDraft(wizardState);
     });
 
+    $('#wInput', wrap).addEventListener('input', async (e) => {
+      const raw = e.target.value;
+      wizardState.weightGm = (raw === '') ? '' : String(Math.max(0, Number(raw)));
+      await saveDraft(wizardState);
+    });
+
+    renderSummary();
     return wrap;
   }
 
-  // ===========
-  // Wizard navigation
-  // ===========
-  async function wizardNext() {
-    const step = STEPS[wizardStepIndex];
-    const v = validateStep(step, wizardState);
-    if (!v.ok) {
-      showWizardError(v.message || 'Please correct the input.');
-      return;
-    }
-    clearWizardError();
+  function renderStepCm(step, s) {
+    const wrap = document.createElement('div');
+    wrap.className = 'valueRow';
 
-    // Preview step "Next" => calculate & save
-    if (step.kind === 'preview') {
-      await calculateAndSave();
-      return;
-    }
+    if (!s.smv) s.smv = defaultWizardState().smv;
+    const currency = (s.currency || DEFAULT_CURRENCY);
+    const smvField = (key, label, stepAttr = '0.01') => `
+      <div class="field">
+        <label class="label">${escapeHtml(label)}</label>
+        <input class="input" data-smv="${key}" type="number" inputmode="decimal" min="0" step="${stepAttr}" value="${escapeHtml(s.smv[key] ?? '')}" />
+      </div>
+    `;
 
-    wizardStepIndex = Math.min(STEPS.length - 1, wizardStepIndex + 1);
-    await saveDraft(wizardState);
-    await renderWizardStep();
-  }
+    wrap.innerHTML = `
+      <div class="field">
+        <label class="label">CM mode</label>
+        <select id="wCmMode" class="input">
+          ${CM_MODES.map(m => `<option value="${m.value}" ${(s.cmMode || 'manual') === m.value ? 'selected' : ''}>${escapeHtml(m.label)}</option>`).join('')}
+        </select>
+      </div>
 
-  async function wizardPrev() {
-    clearWizardError();
-    wizardStepIndex = Math.max(0, wizardStepIndex - 1);
-    await saveDraft(wizardState);
-    await renderWizardStep();
-  }
+      <div id="wCmManual" class="form__grid ${s.cmMode === 'smv' ? 'hidden' : ''}">
+        <div class="field">
+          <label class="label">${escapeHtml(step.title)}</label>
+          <input id="wInput" class="input" type="number" inputmode="decimal" min="0" step="0.01" placeholder="Enter value" value="${escapeHtml(s.cmDoz ?? '')}" />
+        </div>
+        <div class="field">
+          <label class="label">Entered per</label>
+          ${lineUnitSelectHtml('id="wLineUnit" class="input"', lineUnitOf(s, 'cmDoz'))}
+        </div>
+      </div>
 
-  async function openWizard({ resume = true, baseData = null } = {}) {
-    // baseData is used for duplication
-    const draft = resume ? await loadDraft() : null;
+      <div id="wCmSmv" class="form__grid ${s.cmMode === 'smv' ? '' : 'hidden'}">
+        ${smvField('knitMin', 'Knitting minutes / pc')}
+        ${smvField('linkMin', 'Linking minutes / pc')}
+        ${smvField('otherMin', 'Other process minutes / pc')}
+        ${smvField('costPerMin', 'Cost per minute', '0.0001')}
+        ${smvField('efficiencyPct', 'Factory efficiency %')}
+      </div>
 
-    wizardState = baseData ? structuredClone(baseData) : (draft ? structuredClone(draft) : defaultWizardState());
-    // Ensure version fields / defaults
-    wizardState.currency = (wizardState.currency || DEFAULT_CURRENCY).trim();
-    if (wizardState.wastagePct === '' || wizardState.wastagePct === null || wizardState.wastagePct === undefined) wizardState.wastagePct = 8;
-    if (wizardState.rocPct === '' || wizardState.rocPct === null || wizardState.rocPct === undefined) wizardState.rocPct = 0;
+      <div class="field">
+        <label class="label">CM entered in</label>
+        ${currencySelectHtml('id="wLineCurrency" class="input"', lineCurrencyOf(s, 'cmDoz'))}
+        <div class="help">Applies to the manual CM and to the cost per minute.</div>
+      </div>
 
-    wizardStepIndex = 0;
-    showView(viewWizard);
-    await renderWizardStep();
-  }
+      <div class="help">${escapeHtml(step.hint || '')}</div>
+      <div id="wCmSummary" class="stepHint"></div>
+    `;
 
-  // ===========
-  // Save product from wizard
-  // ===========
-  async function calculateAndSave() {
-    // Validate required steps (style + yarn price + weight + wastage + CM)
-    const requiredChecks = [
-      STEPS[0], // style
-      STEPS.find(s => s.id === 'yarnPricePerLb'),
-      STEPS.find(s => s.id === 'weightGm'),
-      STEPS.find(s => s.id === 'wastagePct'),
-      STEPS.find(s => s.id === 'cmDoz'),
-      STEPS.find(s => s.id === 'rocPct'), // optional but validate range if filled
-    ].filter(Boolean);
-
-    for (const st of requiredChecks) {
-      const v = validateStep(st, wizardState);
-      if (!v.ok) { showWizardError(v.message || 'Please correct the input.'); return; }
+    const summary = $('#wCmSummary', wrap);
+    function renderSummary() {
+      const cm = cmOf(wizardState);
+      summary.innerHTML = cm.smv
+        ? `${escapeHtml(cmModeLabel(cm.smv))} × 12 = <strong>${escapeHtml(formatMoney(cm.cmDoz, lineCurrencyOf(wizardState, 'cmDoz')))} per dozen</strong>`
+        : '';
     }
 
-    const computed = computeAll(wizardState);
+    $('#wLineCurrency', wrap).addEventListener('change', async (e) => {
+      wizardState.lineCurrencies = { ...(wizardState.lineCurrencies || {}), cmDoz: e.target.value };
+      renderSummary();
+      await saveDraft(wizardState);
+    });
 
-    // Build final immutable record (read-only by design)
-    const now = new Date().toISOString();
-    const product = {
-      id: uuid(),
-      createdAt: now,
-      updatedAt: now,
-      appVersion: APP_VERSION,
-      calcVersion: CALC_VERSION,
+    wireLineUnit(wrap, 'cmDoz');
 
-      // style
-      styleName: String(wizardState.styleName || '').trim(),
-      yarnDesc: String(wizardState.yarnDesc || '').trim(),
-      composition: String(wizardState.composition || '').trim(),
-      gauge: Number(wizardState.gauge),
-      weightGm: toNum(wizardState.weightGm),
+    $('#wCmMode', wrap).addEventListener('change', async (e) => {
+      wizardState.cmMode = e.target.value;
+      $('#wCmManual', wrap).classList.toggle('hidden', wizardState.cmMode === 'smv');
+      $('#wCmSmv', wrap).classList.toggle('hidden', wizardState.cmMode !== 'smv');
+      renderSummary();
+      await saveDraft(wizardState);
+    });
 
-      currency: (wizardState.currency || DEFAULT_CURRENCY).trim(),
+    $('#wInput', wrap).addEventListener('input', async (e) => {
+      const raw = e.target.value;
+      wizardState.cmDoz = (raw === '') ? '' : String(Math.max(0, Number(raw)));
+      await saveDraft(wizardState);
+    });
 
-      // photo
-      photo: {
-        blob: wizardState.photo?.blob || null,
-        type: wizardState.photo?.type || 'image/jpeg',
-        width: wizardState.photo?.width || null,
-        height: wizardState.photo?.height || null,
-      },
+    wrap.querySelectorAll('[data-smv]').forEach((el) => {
+      el.addEventListener('input', async () => {
+        wizardState.smv[el.getAttribute('data-smv')] = (el.value === '') ? '' : String(Math.max(0, Number(el.value)));
+        renderSummary();
+        await saveDraft(wizardState);
+      });
+    });
 
-      // inputs (factory sheet)
-      inputs: {
-        yarnPricePerLb: toNum(wizardState.yarnPricePerLb),
-        wastagePct: toNum(wizardState.wastagePct),
-        accessoriesCostDoz: toNum(wizardState.accessoriesCostDoz),
-        fabricDoz: toNum(wizardState.fabricDoz),
-        fabricCostDoz: toNum(wizardState.fabricCostDoz),
-        fabricAttachCostDoz: toNum(wizardState.fabricAttachCostDoz),
-        timingMin: Math.trunc(toNum(wizardState.timingMin)),
-        cmDoz: toNum(wizardState.cmDoz),
-        rocPct: toNum(wizardState.rocPct),
-      },
+    renderSummary();
+    return wrap;
+  }
 
-      // computed snapshot (audit)
-      computed: {
-        lbsPerDoz: computed.lbsPerDoz,
-        lbsWithWastage: computed.lbsWithWastage,
-        yarnCostDoz: computed.yarnCostDoz,
-        totalDoz: computed.totalDoz,
-        fobPerPc: computed.fobPerPc,
-        finalPerPc: computed.finalPerPc,
-      },
-    };
+  function renderStepFabric(step, s) {
+    const wrap = document.createElement('div');
+    wrap.className = 'valueRow';
 
-    try {
-      await window.GCDB.putProduct(product);
-      await clearDraft();
-      wizardState = null;
-      wizardStepIndex = 0;
-      await loadAndRenderList();
-      openDetail(product);
-    } catch (e) {
-      console.error(e);
-      showWizardError('Could not save this costing. Please try again.');
-    }
-  }
+    if (!s.fabric) s.fabric = defaultWizardState().fabric;
+    const consumption = (s.fabricMode === 'consumption');
 
-  // ===========
-  // List view rendering
-  // ===========
-  function renderDraftBanner(hasDraft) {
-    if (!draftBanner) return;
-    if (!hasDraft) { hide(draftBanner); draftBanner.innerHTML = ''; return; }
-
-    draftBanner.classList.remove('hidden');
-    draftBanner.innerHTML = `
-      <div style="display:flex; align-items:center; justify-content:space-between; gap:12px;">
-        <div><strong>Draft in progress:</strong> You have an unfinished costing. Resume or discard it.</div>
-        <div style="display:flex; gap:10px;">
-          <button id="btnResumeDraft" class="btn btn--ghost" type="button">Resume</button>
-          <button id="btnDiscardDraft" class="btn btn--danger" type="button">Discard</button>
-        </div>
+    wrap.innerHTML = `
+      <div class="field">
+        <label class="label">Fabric cost mode</label>
+        <select id="wFabricMode" class="input">
+          ${FABRIC_MODES.map(m => `<option value="${m.value}" ${(s.fabricMode || 'manual') === m.value ? 'selected' : ''}>${escapeHtml(m.label)}</option>`).join('')}
+        </select>
       </div>
-    `;
 
-    $('#btnResumeDraft', draftBanner).onclick = () => openWizard({ resume: true });
-    $('#btnDiscardDraft', draftBanner).onclick = async () => {
-      const ok = confirm('Discard the current draft? This cannot be undone.');
-      if (!ok) return;
-      await clearDraft();
-      renderDraftBanner(false);
-    };
+      <div id="wFabricManual" class="form__grid ${consumption ? 'hidden' : ''}">
+        <div class="field">
+          <label class="label">${escapeHtml(step.title)}</label>
+          <input id="wInput" class="input" type="number" inputmode="decimal" min="0" step="0.01" placeholder="Enter value" value="${escapeHtml(s.fabricCostDoz ?? '')}" />
+        </div>
+        <div class="field">
+          <label class="label">Entered per</label>
+          ${lineUnitSelectHtml('id="wLineUnit" class="input"', lineUnitOf(s, 'fabricCostDoz'))}
+        </div>
+      </div>
+
+      <div id="wFabricCalc" class="${consumption ? '' : 'hidden'}">
+        <div class="field">
+          <label class="label">Fabric type</label>
+          <select id="wFabricUnit" class="input">
+            ${FABRIC_UNITS.map(u => `<option value="${u.value}" ${(s.fabric.unit || 'kg') === u.value ? 'selected' : ''}>${escapeHtml(u.label)}</option>`).join('')}
+          </select>
+        </div>
+        <div class="form__grid">
+          ${FABRIC_FIELDS.map(([key, label, unit]) => `
+            <div class="field" data-fabric-only="${key === 'gsm' ? 'kg' : (key === 'fabricWidthCm' ? 'yd' : '')}">
+              <label class="label">${escapeHtml(label)} <span class="tag">${escapeHtml(unit)}</span></label>
+              <input class="input" data-fabric="${key}" type="number" inputmode="decimal" min="0" step="0.01" value="${escapeHtml(s.fabric[key] ?? '')}" />
+            </div>
+          `).join('')}
+        </div>
+      </div>
+
+      <div class="field">
+        <label class="label">Fabric cost entered in</label>
+        ${currencySelectHtml('id="wLineCurrency" class="input"', lineCurrencyOf(s, 'fabricCostDoz'))}
+      </div>
+
+      <div class="help">${escapeHtml(step.hint || '')}</div>
+      <div id="wFabricSummary" class="stepHint"></div>
+    `;
+
+    const summary = $('#wFabricSummary', wrap);
+    function refresh() {
+      const unit = wizardState.fabric.unit === 'yd' ? 'yd' : 'kg';
+      wrap.querySelectorAll('[data-fabric-only]').forEach((el) => {
+        const only = el.getAttribute('data-fabric-only');
+        el.classList.toggle('hidden', !!only && only !== unit);
+      });
+      const fabric = fabricOf(wizardState);
+      summary.innerHTML = fabric
+        ? `${escapeHtml(fabricBasisText(fabric))} = <strong>${escapeHtml(formatMoney(fabric.costDoz, lineCurrencyOf(wizardState, 'fabricCostDoz')))} per dozen</strong>`
+        : '';
+    }
+
+    $('#wFabricMode', wrap).addEventListener('change', async (e) => {
+      wizardState.fabricMode = e.target.value;
+      $('#wFabricManual', wrap).classList.toggle('hidden', wizardState.fabricMode === 'consumption');
+      $('#wFabricCalc', wrap).classList.toggle('hidden', wizardState.fabricMode !== 'consumption');
+      refresh();
+      await saveDraft(wizardState);
+    });
+
+    wireLineUnit(wrap, 'fabricCostDoz');
+
+    $('#wFabricUnit', wrap).addEventListener('change', async (e) => {
+      wizardState.fabric.unit = e.target.value;
+      refresh();
+      await saveDraft(wizardState);
+    });
+
+    $('#wLineCurrency', wrap).addEventListener('change', async (e) => {
+      wizardState.lineCurrencies = { ...(wizardState.lineCurrencies || {}), fabricCostDoz: e.target.value };
+      refresh();
+      await saveDraft(wizardState);
+    });
+
+    $('#wInput', wrap).addEventListener('input', async (e) => {
+      const raw = e.target.value;
+      wizardState.fabricCostDoz = (raw === '') ? '' : String(Math.max(0, Number(raw)));
+      await saveDraft(wizardState);
+    });
+
+    wrap.querySelectorAll('[data-fabric]').forEach((el) => {
+      el.addEventListener('input', async () => {
+        wizardState.fabric[el.getAttribute('data-fabric')] = (el.value === '') ? '' : String(Math.max(0, Number(el.value)));
+        refresh();
+        await saveDraft(wizardState);
+      });
+    });
+
+    refresh();
+    return wrap;
   }
 
-  function renderList(items) {
-    productList.innerHTML = '';
+  function renderStepAccessories(step, s) {
+    const wrap = document.createElement('div');
+    wrap.className = 'valueRow';
 
-    if (!items.length) {
-      show(emptyState);
-      return;
+    if (!Array.isArray(s.accessories)) s.accessories = accessoriesOf(s);
+    const lineCurrency = () => lineCurrencyOf(wizardState, 'accessoriesCostDoz');
+
+    const summary = document.createElement('div');
+    summary.className = 'stepHint';
+
+    function renderSummary() {
+      const derived = computeAll(wizardState);
+      summary.innerHTML = `${escapeHtml(String(derived.accessoryLines.length))} item(s) = <strong>${escapeHtml(moneyLineText(derived.moneyLines.accessoriesCostDoz, wizardState.currency || DEFAULT_CURRENCY))} per dozen</strong>`;
     }
-    hide(emptyState);
 
-    items.forEach((p) => {
-      const currency = p.currency || DEFAULT_CURRENCY;
-      const fob = p.computed?.finalPerPc ?? p.computed?.fobPerPc ?? 0;
+    const editor = renderRowEditor({
+      rows: s.accessories,
+      columns: [
+        { key: 'item', title: 'Item', type: 'text', placeholder: 'e.g., Main label' },
+        { key: 'consumptionDoz', title: lineUnitOf(s, 'accessoriesCostDoz') === 'pc' ? 'Cons. / pc' : 'Cons. / doz', type: 'number', step: '0.001' },
+        { key: 'unit', title: 'Unit', type: 'select', options: ACCESSORY_UNITS.map(u => ({ value: u, label: u })) },
+        { key: 'unitPrice', title: 'Unit price', type: 'number', step: '0.0001' },
+        { key: 'supplier', title: 'Supplier', type: 'text', placeholder: 'optional' },
+      ],
+      newRow: () => ({ item: '', consumptionDoz: lineUnitOf(wizardState, 'accessoriesCostDoz') === 'pc' ? '1' : '12', unit: 'pcs', unitPrice: '', supplier: '' }),
+      addLabel: 'Add item',
+      onChange: async () => {
+        renderSummary();
+        await saveDraft(wizardState);
+      },
+    });
 
-      const card = document.createElement('article');
-      card.className = 'card';
+    wrap.innerHTML = `
+      <div class="help">${escapeHtml(step.hint || '')}</div>
+      <div class="form__grid">
+        <div class="field">
+          <label class="label">Consumption per</label>
+          ${lineUnitSelectHtml('id="wLineUnit" class="input"', lineUnitOf(s, 'accessoriesCostDoz'))}
+        </div>
+        <div class="field">
+          <label class="label">Prices entered in</label>
+          ${currencySelectHtml('id="wLineCurrency" class="input"', lineCurrency())}
+        </div>
+      </div>
+    `;
+    wrap.appendChild(editor);
+    wrap.appendChild(summary);
 
-      const imgUrl = p.photo?.blob ? URL.createObjectURL(p.photo.blob) : null;
+    // The consumption column title follows the unit, so redraw the step
+    wireLineUnit(wrap, 'accessoriesCostDoz', () => redrawStep(step));
 
-      const composition = p.composition ? escapeHtml(p.composition) : '—';
-      const gaugeWeight = `${escapeHtml(String(p.gauge))}gg / ${escapeHtml(String(Math.round(p.weightGm)))} gm`;
+    $('#wLineCurrency', wrap).addEventListener('change', async (e) => {
+      wizardState.lineCurrencies = { ...(wizardState.lineCurrencies || {}), accessoriesCostDoz: e.target.value };
+      renderSummary();
+      await saveDraft(wizardState);
+    });
 
-      card.innerHTML = `
-        ${imgUrl ? `<img class="thumb" src="${imgUrl}" alt="Product photo" />` : `<div class="thumbPlaceholder">No photo</div>`}
+    renderSummary();
+    return wrap;
+  }
 
-        <div class="card__body">
-          <div class="card__row">
-            <div class="card__title">${escapeHtml(p.styleName)}</div>
-            <button class="iconBtn iconBtn--danger" type="button" title="Delete">🗑</button>
-          </div>
+  function renderStepProcesses(step, s) {
+    const wrap = document.createElement('div');
+    wrap.className = 'valueRow';
 
-          <div class="card__value">${escapeHtml(formatMoney(fob, currency))} <span class="per">/ pc</span></div>
-          <div class="card__meta">
-            ${composition} &nbsp;&nbsp; ${gaugeWeight} &nbsp;&nbsp; ${escapeHtml(formatDate(p.createdAt))}
+    if (!Array.isArray(s.processes)) s.processes = [];
+
+    const summary = document.createElement('div');
+    summary.className = 'stepHint';
+
+    function renderSummary() {
+      const derived = computeAll(wizardState);
+      summary.innerHTML = `${escapeHtml(String(derived.processLines.length))} process line(s) = <strong>${escapeHtml(moneyLineText(derived.moneyLines.processCostDoz, wizardState.currency || DEFAULT_CURRENCY))} per dozen</strong>`;
+    }
+
+    const editor = renderRowEditor({
+      rows: s.processes,
+      columns: [
+        { key: 'label', title: 'Process', type: 'text', placeholder: 'e.g., Garment wash' },
+        { key: 'basis', title: 'Basis', type: 'select', options: MONEY_UNITS },
+        { key: 'value', title: 'Cost', type: 'number', step: '0.0001' },
+      ],
+      newRow: () => ({ label: '', basis: 'doz', value: '' }),
+      addLabel: 'Add process',
+      reorderable: true,
+      onChange: async () => {
+        renderSummary();
+        await saveDraft(wizardState);
+      },
+    });
+
+    wrap.innerHTML = `
+      <div class="help">${escapeHtml(step.hint || '')}</div>
+      <div class="field">
+        <label class="label">Costs entered in</label>
+        ${currencySelectHtml('id="wLineCurrency" class="input"', lineCurrencyOf(s, 'processCostDoz'))}
+      </div>
+    `;
+    wrap.appendChild(editor);
+    wrap.appendChild(summary);
+
+    $('#wLineCurrency', wrap).addEventListener('change', async (e) => {
+      wizardState.lineCurrencies = { ...(wizardState.lineCurrencies || {}), processCostDoz: e.target.value };
+      renderSummary();
+      await saveDraft(wizardState);
+    });
+
+    renderSummary();
+    return wrap;
+  }
+
+  function renderStepPacking(step, s) {
+    const wrap = document.createElement('div');
+    wrap.className = 'valueRow';
+
+    if (!s.packing) s.packing = defaultWizardState().packing;
+
+    wrap.innerHTML = `
+      <div class="form__grid">
+        ${PACKING_FIELDS.map(([key, label, unit]) => `
+          <div class="field">
+            <label class="label">${escapeHtml(label)} <span class="tag">${escapeHtml(unit)}</span></label>
+            <input class="input" data-packing="${key}" type="number" inputmode="decimal" min="0" step="${key === 'pcsPerCarton' ? '1' : '0.01'}" value="${escapeHtml(s.packing[key] ?? '')}" />
           </div>
-        </div>
+        `).join('')}
+      </div>
+
+      <div class="field">
+        <label class="label">Packing entered in</label>
+        ${currencySelectHtml('id="wLineCurrency" class="input"', lineCurrencyOf(s, 'packingDoz'))}
+        <div class="help">Applies to the carton, polybag, hanger, tissue and freight rate.</div>
+      </div>
+
+      <div class="help">${escapeHtml(step.hint || '')}</div>
+      <div id="wPackingSummary" class="stepHint"></div>
+    `;
+
+    const summary = $('#wPackingSummary', wrap);
+    function renderSummary() {
+      const derived = computeAll(wizardState);
+      const quote = wizardState.currency || DEFAULT_CURRENCY;
+      const packing = derived.packing;
+      summary.innerHTML = `
+        ${escapeHtml(cartonText(packing))}<br/>
+        Packing <strong>${escapeHtml(moneyLineText(derived.moneyLines.packingDoz, quote))} per dozen</strong>
+        ${packing.freightPerCbm > 0 ? `• CBM freight <strong>${escapeHtml(moneyLineText(derived.moneyLines.cbmFreightDoz, quote))} per dozen</strong>` : ''}
       `;
+    }
 
-      // Open detail (but not when clicking delete)
-      card.addEventListener('click', async (e) => {
-        const isDelete = (e.target instanceof HTMLElement) && e.target.closest('.iconBtn--danger');
-        if (isDelete) return;
-        openDetail(p);
+    $('#wLineCurrency', wrap).addEventListener('change', async (e) => {
+      wizardState.lineCurrencies = { ...(wizardState.lineCurrencies || {}), packingDoz: e.target.value };
+      renderSummary();
+      await saveDraft(wizardState);
+    });
+
+    wrap.querySelectorAll('[data-packing]').forEach((el) => {
+      el.addEventListener('input', async () => {
+        wizardState.packing[el.getAttribute('data-packing')] = (el.value === '') ? '' : String(Math.max(0, Number(el.value)));
+        renderSummary();
+        await saveDraft(wizardState);
       });
+    });
 
-      // Delete
-      const delBtn = $('.iconBtn--danger', card);
-      delBtn.addEventListener('click', async (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        const ok = confirm(`Delete costing "${p.styleName}"? This cannot be undone.`);
-        if (!ok) return;
-        await window.GCDB.deleteProduct(p.id);
-        await loadAndRenderList();
+    renderSummary();
+    return wrap;
+  }
+
+  function renderStepIncoterm(step, s) {
+    const wrap = document.createElement('div');
+    wrap.className = 'valueRow';
+
+    const currency = (s.currency || DEFAULT_CURRENCY);
+    const field = (key, label, minRank) => `
+      <div class="field" data-min-rank="${minRank}">
+        <label class="label">${escapeHtml(label)}</label>
+        <input class="input" data-key="${key}" type="number" inputmode="decimal" min="0" step="0.01" value="${escapeHtml(s[key] ?? '')}" />
+      </div>
+    `;
+
+    wrap.innerHTML = `
+      <div class="field">
+        <label class="label">Incoterm</label>
+        <select id="wIncoterm" class="input">
+          ${INCOTERMS.map(t => `<option value="${t.value}" ${(s.incoterm || 'FOB') === t.value ? 'selected' : ''}>${escapeHtml(t.label)}</option>`).join('')}
+        </select>
+      </div>
+
+      <div class="form__grid">
+        ${field('freightPc', `Sea/air freight per piece (${currencyCodeOf(currency)})`, 1)}
+        ${field('insurancePct', 'Insurance %', 2)}
+        ${field('dutyPct', 'Import duty %', 3)}
+        ${field('destHandlingPc', `Destination handling per piece (${currencyCodeOf(currency)})`, 3)}
+      </div>
+
+      <div class="help">${escapeHtml(step.hint || '')}</div>
+      <div id="wIncotermSummary" class="stepHint"></div>
+    `;
+
+    const summary = $('#wIncotermSummary', wrap);
+    function refresh() {
+      const rank = INCOTERMS.findIndex(t => t.value === (wizardState.incoterm || 'FOB'));
+      wrap.querySelectorAll('[data-min-rank]').forEach((el) => {
+        el.classList.toggle('hidden', rank < Number(el.getAttribute('data-min-rank')));
       });
+      const derived = computeAll(wizardState);
+      const parts = [`Final ${formatMoney(derived.finalPerPc, currency)}`]
+        .concat(derived.incotermLines.map(l => `${l.label} +${formatMoney(l.amountPc, currency)}`));
+      summary.innerHTML = `${escapeHtml(parts.join(' → '))} = <strong>${escapeHtml(derived.incoterm)} ${escapeHtml(formatMoney(derived.quotePerPc, currency))} / pc</strong>`;
+    }
 
-      productList.appendChild(card);
+    $('#wIncoterm', wrap).addEventListener('change', async (e) => {
+      wizardState.incoterm = e.target.value;
+      refresh();
+      await saveDraft(wizardState);
+    });
 
-      if (imgUrl) setTimeout(() => URL.revokeObjectURL(imgUrl), 60_000);
+    wrap.querySelectorAll('[data-key]').forEach((el) => {
+      el.addEventListener('input', async () => {
+        wizardState[el.getAttribute('data-key')] = (el.value === '') ? '' : String(Math.max(0, Number(el.value)));
+        refresh();
+        await saveDraft(wizardState);
+      });
     });
+
+    refresh();
+    return wrap;
   }
 
-  async function loadAndRenderList() {
-    try {
-      productsCache = await window.GCDB.getAllProducts();
-      const q = String(searchInput.value || '').trim().toLowerCase();
-      const filtered = q ? productsCache.filter(p => String(p.styleName || '').toLowerCase().includes(q)) : productsCache;
-      renderList(filtered);
+  function renderStepYarnPrices(step, s) {
+    const wrap = document.createElement('div');
+    wrap.className = 'valueRow';
 
-      const d = await loadDraft();
-      renderDraftBanner(!!d);
-    } catch (e) {
-      console.error(e);
-      // Show empty state to avoid dead UI
-      renderList([]);
-      renderDraftBanner(false);
-    }
+    const currency = (s.currency || DEFAULT_CURRENCY);
+    const shareLabel = (y) => (s.yarnShareUnit === 'gm') ? `${formatPlain(toNum(y.share), 2)} gm` : `${formatPlain(toNum(y.share), 2)}%`;
+
+    const editor = renderRowEditor({
+      rows: s.yarns,
+      columns: [
+        { key: 'desc', title: 'Yarn', type: 'static', format: (y) => `${y.desc || '—'} (${shareLabel(y)})${y.yarnId ? (y.priceDate ? ` • library price of ${y.priceDate}` : ' • price typed by hand') : ''}` },
+        { key: 'price', title: 'Price', type: 'number', step: '0.0001' },
+        { key: 'priceUnit', title: 'Per', type: 'select', options: YARN_PRICE_UNITS },
+        { key: 'currency', title: 'Currency', type: 'select', options: [{ value: '', label: `${currencyCodeOf(currency)} (quote)` }].concat(currencyOptions().map(c => ({ value: c, label: c }))) },
+        { key: 'wastagePct', title: 'Wastage % (optional)', type: 'number' },
+      ],
+      fixedRows: true,
+      onChange: async (i, key) => {
+        // Editing a library price makes it a typed price; the yarn link stays
+        if (['price', 'priceUnit', 'currency'].includes(key)) wizardState.yarns[i].priceDate = '';
+        await saveDraft(wizardState);
+      },
+    });
+
+    wrap.innerHTML = `<div class="help">${escapeHtml(step.hint || '')}</div>`;
+    wrap.appendChild(editor);
+    return wrap;
   }
 
-  // ===========
-  // Backup / Restore (JSON)
-  // ===========
-  async function exportBackup() {
-    const items = await window.GCDB.getAllProducts();
-    // Convert blob -> base64 for portability
-    const exported = [];
-    for (const p of items) {
-      let photoBase64 = null;
-      let photoType = null;
-
-      if (p.photo?.blob) {
-        photoBase64 = await blobToDataUrl(p.photo.blob);
-        photoType = p.photo.type || 'image/jpeg';
-      }
+  function renderStepMarkups(step, s) {
+    const wrap = document.createElement('div');
+    wrap.className = 'valueRow';
 
-      exported.push({
-        ...p,
-        photo: photoBase64 ? { base64: photoBase64, type: photoType, width: p.photo.width, height: p.photo.height } : null,
-      });
+    if (!Array.isArray(s.markups)) s.markups = [];
+    const currency = (s.currency || DEFAULT_CURRENCY);
+
+    const summary = document.createElement('div');
+    summary.className = 'stepHint';
+
+    function renderSummary() {
+      const derived = computeAll(wizardState);
+      const parts = [`FOB ${formatMoney(derived.fobPerPc, currency)}`]
+        .concat(derived.markupLines.map(l => `${l.label || 'Markup'} +${formatMoney(l.amountPc, currency)}`));
+      summary.innerHTML = `${escapeHtml(parts.join(' → '))} = <strong>${escapeHtml(formatMoney(derived.finalPerPc, currency))} / pc</strong>`;
     }
 
-    const payload = {
-      schema: 'garment-costing-backup-v2',
-      exportedAt: new Date().toISOString(),
-      appVersion: APP_VERSION,
-      calcVersion: CALC_VERSION,
-      items: exported,
-    };
+    const editor = renderRowEditor({
+      rows: s.markups,
+      columns: [
+        { key: 'label', title: 'Layer', type: 'text', placeholder: 'e.g., Buyer commission' },
+        { key: 'kind', title: 'Type', type: 'select', options: MARKUP_KINDS },
+        { key: 'value', title: 'Value', type: 'number' },
+      ],
+      newRow: () => ({ label: '', kind: 'pct', value: '' }),
+      addLabel: 'Add layer',
+      reorderable: true,
+      onChange: async () => {
+        renderSummary();
+        await saveDraft(wizardState);
+      },
+    });
 
-    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
-    downloadBlob(blob, `garment-costing-backup-${Date.now()}.json`);
+    wrap.innerHTML = `<div class="help">${escapeHtml(step.hint || '')}</div>`;
+    wrap.appendChild(editor);
+    wrap.appendChild(summary);
+    renderSummary();
+
+    return wrap;
   }
 
-  async function importBackup(file) {
-    const text = await file.text();
-    const data = JSON.parse(text);
+  function renderStepComputed(step, s) {
+    const wrap = document.createElement('div');
+    wrap.className = 'valueRow';
 
-    if (!data || !Array.isArray(data.items)) {
-      alert('Invalid backup file.');
-      return;
-    }
+    const derived = computeAll(s);
+    const currency = (s.currency || DEFAULT_CURRENCY);
 
-    const products = [];
-    for (const raw of data.items) {
-      const p = structuredClone(raw);
+    let valText = '—';
+    let helper = step.hint || '';
 
-      // restore photo blob
-      if (p.photo?.base64) {
-        const blob = dataUrlToBlob(p.photo.base64);
-        p.photo = { blob, type: p.photo.type || 'image/jpeg', width: p.photo.width || null, height: p.photo.height || null };
-      }
+    if (step.id === 'lbsPerDoz') {
+      valText = (derived.lbsPerDoz === null) ? '—' : formatPlain(derived.lbsPerDoz, 2);
+      helper = helper + '  (Unit: LBS/Doz)';
+    }
+    if (step.id === 'lbsWithWastage') {
+      valText = (derived.lbsWithWastage === null) ? '—' : formatPlain(derived.lbsWithWastage, 2);
+      helper = helper + '  (Unit: LBS/Doz incl.)';
+    }
+    if (step.id === 'yarnCostDoz') {
+      valText = (derived.yarnCostDoz === null) ? '—' : formatMoney(derived.yarnCostDoz, currency);
+      helper = helper + '  (Unit: per DOZEN)';
+    }
+    if (step.id === 'fobPerPc') {
+      valText = formatMoney(derived.fobPerPc, currency);
+      helper = helper + '  (Unit: per PIECE)';
+    }
 
-      products.push(p);
+    if (step.id === 'finalPerPc') {
+      valText = formatMoney(derived.finalPerPc, currency);
+      helper = helper + '  (Unit: per PIECE)';
     }
 
-    await window.GCDB.bulkPut(products);
-    await loadAndRenderList();
-  }
+    wrap.innerHTML = `
+      <div class="field">
+        <label class="label">${escapeHtml(step.title)}</label>
+        <input class="input" type="text" value="${escapeHtml(valText)}" disabled />
+        <div class="help">${escapeHtml(helper)}</div>
+        <div class="readonlyBadge"><span class="dot"></span>Auto-calculated (read-only)</div>
+      </div>
+    `;
 
-  function dataUrlToBlob(dataUrl) {
-    const [meta, b64] = String(dataUrl).split(',');
-    const mime = meta.match(/data:(.*?);base64/)?.[1] || 'application/octet-stream';
-    const bin = atob(b64);
-    const len = bin.length;
-    const buf = new Uint8Array(len);
-    for (let i = 0; i < len; i++) buf[i] = bin.charCodeAt(i);
-    return new Blob([buf], { type: mime });
+    return wrap;
   }
 
-  function downloadBlob(blob, filename) {
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    setTimeout(() => URL.revokeObjectURL(url), 5000);
+  function renderStepPreview(s) {
+    const wrap = document.createElement('div');
+
+    const derived = computeAll(s);
+    const currency = (s.currency || DEFAULT_CURRENCY);
+
+    const rows = [
+      { title: 'Style Name / Style Number', value: s.styleName, kind: 'input', jump: 'styleInfo' },
+      { title: 'Yarn Description', value: yarnDescOf(yarnComponentsOf(s), s.yarnShareUnit) || '—', kind: 'input', jump: 'styleInfo' },
+      { title: 'Fabric composition', value: s.composition || '—', kind: 'input', jump: 'styleInfo' },
+      { title: 'Gauge', value: s.gauge ? `${s.gauge}` : '—', kind: 'input', jump: 'styleInfo' },
+      { title: s.sizeMode ? 'Garments Weight (grams, weighted avg)' : 'Garments Weight (grams)', value: `${formatPlain(derived.weightGm, 2)} gm`, kind: s.sizeMode ? 'auto' : 'input', jump: 'weightGm' },
+      ...derived.sizeLines.map(z => (
+        { title: `Size ${z.size} — ${formatPlain(z.weightGm, 2)} gm × ratio ${formatPlain(z.ratio, 2)}`, value: `${formatMoney(z.finalPerPc, currency)} / pc`, kind: 'auto', jump: 'weightGm' }
+      )),
+
+      ...derived.yarnLines.map((y, i, all) => (
+        { title: `${yarnLineTitle(y, i, all.length)} — price / ${yarnPriceUnitLabel(y)}`, value: `${yarnPriceText(y)} • ${formatPlain(y.wastagePct, 2)}% wastage`, kind: 'input', jump: 'yarnPrices' }
+      )),
+      { title: 'Garments Weight (LBS / Doz)', value: derived.lbsPerDoz === null ? '—' : formatPlain(derived.lbsPerDoz, 2), kind: 'auto', jump: 'lbsPerDoz' },
+      { title: 'Wastage %', value: `${formatPlain(toNum(s.wastagePct), 2)}%`, kind: 'input', jump: 'wastagePct' },
+      { title: 'Garments Weight LBS (Including Wastage @ %)', value: derived.lbsWithWastage === null ? '—' : formatPlain(derived.lbsWithWastage, 2), kind: 'auto', jump: 'lbsWithWastage' },
+
+      ...(derived.yarnLines.length > 1 ? derived.yarnLines.map((y, i, all) => (
+        { title: `${yarnLineTitle(y, i, all.length)} — cost`, value: `${formatMoney(y.costDoz, currency)} (per dozen)`, kind: 'auto', jump: 'yarnCostDoz' }
+      )) : []),
+      { title: 'Yarn Cost', value: derived.yarnCostDoz === null ? '—' : `${formatMoney(derived.yarnCostDoz, currency)} (per dozen)`, kind: 'auto', jump: 'yarnCostDoz' },
+
+      ...derived.accessoryLines.map(a => (
+        { title: `Accessory — ${a.item || '—'} (${formatPlain(a.consumptionDoz, 2)} ${a.unit} × ${formatMoney(a.unitPrice, lineCurrencyOf(s, 'accessoriesCostDoz'))})`, value: `${formatMoney(a.costDoz, lineCurrencyOf(s, 'accessoriesCostDoz'))} (per dozen)`, kind: 'input', jump: 'accessoriesCostDoz' }
+      )),
+      { title: 'Accessories Cost', value: `${moneyLineText(derived.moneyLines.accessoriesCostDoz, currency)} (per dozen)`, kind: 'auto', jump: 'accessoriesCostDoz' },
+      { title: 'Fabric', value: `${moneyLineText(derived.moneyLines.fabricDoz, currency)} (per dozen)`, kind: 'input', jump: 'fabricDoz' },
+      { title: derived.fabric ? `Fabric Cost (${fabricBasisText(derived.fabric)})` : 'Fabric Cost', value: `${moneyLineText(derived.moneyLines.fabricCostDoz, currency)} (per dozen)`, kind: derived.fabric ? 'auto' : 'input', jump: 'fabricCostDoz' },
+      { title: 'Fabric Attachment CM', value: `${moneyLineText(derived.moneyLines.fabricAttachCostDoz, currency)} (per dozen)`, kind: 'input', jump: 'fabricAttachCostDoz' },
+      ...derived.processLines.map(p => (
+        { title: processTitle(p, p.currency), value: `${moneyLineText(p, currency)} (per dozen)`, kind: 'input', jump: 'processes' }
+      )),
+      { title: `Packing (${cartonText(derived.packing)})`, value: `${moneyLineText(derived.moneyLines.packingDoz, currency)} (per dozen)`, kind: 'input', jump: 'packing' },
+      ...(derived.packing.freightPerCbm > 0 ? [
+        { title: `CBM freight (${formatMoney(derived.packing.freightPerCbm, lineCurrencyOf(s, 'packingDoz'))} / CBM)`, value: `${moneyLineText(derived.moneyLines.cbmFreightDoz, currency)} (per dozen)`, kind: 'auto', jump: 'packing' },
+      ] : []),
+      { title: 'Timing', value: `${Math.trunc(toNum(s.timingMin))} min`, kind: 'input', jump: 'timingMin' },
+      { title: s.cmMode === 'smv' ? `CM (${cmModeLabel(derived.cmSmv)})` : 'CM', value: `${moneyLineText(derived.moneyLines.cmDoz, currency)} (per dozen)`, kind: s.cmMode === 'smv' ? 'auto' : 'input', jump: 'cmDoz' },
+
+      { title: 'Costing price / FOB', value: `${formatMoney(derived.fobPerPc, currency)} / pc`, kind: 'auto', jump: 'fobPerPc' },
+      ...derived.markupLines.map((l) => (
+        { title: markupTitle(l, currency), value: `+${formatMoney(l.amountPc, currency)} / pc`, kind: 'input', jump: 'markups' }
+      )),
+      { title: 'Final price', value: `${formatMoney(derived.finalPerPc, currency)} / pc`, kind: 'auto', jump: 'finalPerPc' },
+      ...derived.incotermLines.map((l) => (
+        { title: l.label, value: `+${formatMoney(l.amountPc, currency)} / pc`, kind: 'input', jump: 'incoterm' }
+      )),
+      ...(derived.incoterm !== 'FOB' ? [
+        { title: `Final ${derived.incoterm} price`, value: `${formatMoney(derived.quotePerPc, currency)} / pc`, kind: 'auto', jump: 'incoterm' },
+      ] : []),
+    ];
+
+    const warnings = sanityWarningsOf(s, derived);
+
+    const tr = rows.map((r) => `
+      <tr data-jump="${r.jump}">
+        <td>${escapeHtml(r.title)} ${r.kind === 'auto' ? '<span class="tag">auto</span>' : '<span class="tag">input</span>'}</td>
+        <td>${escapeHtml(r.value)}</td>
+      </tr>
+    `).join('');
+
+    wrap.innerHTML = `
+      <div class="muted" style="margin-bottom:10px;">${escapeHtml(STEPS.find(x => x.id === 'preview')?.hint || '')}</div>
+
+      <table class="table previewTable" role="table" aria-label="Costing preview">
+        <thead><tr><th>Particular</th><th>Value</th></tr></thead>
+        <tbody>${tr}</tbody>
+      </table>
+
+      ${warnings.length ? `
+      <div class="alert sanityWarnings" role="status">
+        <div><strong>Sanity check:</strong> ${warnings.length} value(s) look unusual. Tick each one to confirm it is intended; they are saved with the costing.</div>
+        ${warnings.map((w, i) => `
+          <label class="sanityWarning">
+            <input type="checkbox" data-ack="${i}" ${s.sanityAcks?.[w.message] ? 'checked' : ''} />
+            <span>${escapeHtml(w.message)}</span>
+          </label>
+        `).join('')}
+      </div>
+      ` : ''}
+
+      <div class="previewCTA">
+        <button id="btnJumpList" class="btn btn--ghost" type="button">Back to list</button>
+        <div style="flex:1;"></div>
+        <div class="muted" style="align-self:center;">Final will be saved to your device for audit.</div>
+      </div>
+    `;
+
+    // Row click => jump to that step
+    wrap.querySelectorAll('tbody tr[data-jump]').forEach((row) => {
+      row.addEventListener('click', () => jumpToStep(row.getAttribute('data-jump')));
+    });
+
+    wrap.querySelectorAll('[data-ack]').forEach((box) => {
+      box.addEventListener('change', async () => {
+        const w = warnings[Number(box.getAttribute('data-ack'))];
+        wizardState.sanityAcks = { ...(wizardState.sanityAcks || {}) };
+        if (box.checked) wizardState.sanityAcks[w.message] = new Date().toISOString();
+        else delete wizardState.sanityAcks[w.message];
+        await saveDraft(wizardState);
+      });
+    });
+
+    $('#btnJumpList', wrap).addEventListener('click', async () => {
+      await loadAndRenderList();
+      showView(viewList);
+    });
+
+    wrap.appendChild(renderTargetSolver(s));
+
+    return wrap;
+  }
+
+  // ===========
+  // Target-price solver ("what can I afford?")
+  // Reverse calculation by bisection over computeAll(), so the answer always
+  // agrees with the forward calculation.
+  // ===========
+  function solverUnknowns(s) {
+    const yarns = yarnComponentsOf(s);
+    const quote = currencyCodeOf(s.currency);
+
+    const weightOf = (st) => sizeRunOf(st)?.avgWeightGm ?? toNum(st.weightGm);
+    const setWeight = (st, x) => {
+      const factor = weightOf(s) > 0 ? x / weightOf(s) : 0;
+      if (st.sizeMode) st.sizes.forEach(z => { z.weightGm = String(toNum(z.weightGm) * factor); });
+      else if (st.yarnShareUnit === 'gm') st.yarns.forEach(y => { y.share = String(toNum(y.share) * factor); });
+      st.weightGm = String(x);
+    };
+
+    return [
+      ...yarns.map((y, i) => ({
+        id: `yarn:${i}`,
+        label: `Max yarn price / ${yarnPriceUnitLabel(y)}${yarns.length > 1 ? ` — ${y.desc || `Yarn ${i + 1}`}` : ''}`,
+        unit: currencyCodeOf(y.currency || quote),
+        decimals: 4,
+        current: toNum(y.price),
+        apply: (st, x) => { st.yarns[i].price = String(x); },
+      })),
+      {
+        id: 'cmDoz',
+        label: (s.cmMode !== 'smv' && lineUnitOf(s, 'cmDoz') === 'pc') ? 'Max CM / piece' : 'Max CM / dozen',
+        unit: lineCurrencyOf(s, 'cmDoz'),
+        decimals: 2,
+        current: (s.cmMode !== 'smv') ? toNum(s.cmDoz) : cmOf(s).cmDoz,
+        apply: (st, x) => {
+          // SMV results are per dozen; a manual figure keeps its entry unit
+          if (st.cmMode === 'smv') st.lineUnits = { ...(st.lineUnits || {}), cmDoz: 'doz' };
+          st.cmMode = 'manual';
+          st.cmDoz = String(x);
+        },
+      },
+      {
+        id: 'weightGm',
+        label: 'Max garment weight (gm)',
+        unit: 'gm',
+        decimals: 2,
+        current: weightOf(s),
+        apply: setWeight,
+      },
+      {
+        id: 'wastagePct',
+        label: 'Max wastage %',
+        unit: '%',
+        decimals: 2,
+        max: 100,
+        current: toNum(s.wastagePct),
+        apply: (st, x) => { st.wastagePct = String(x); },
+      },
+    ];
+  }
+
+  // Largest value of `unknown` whose final price stays at or below `targetPerPc`
+  function solveForTarget(s, unknown, targetPerPc) {
+    const { photo, ...inputs } = s; // the photo plays no part in the price
+    const finalAt = (x) => {
+      const trial = structuredClone(inputs);
+      unknown.apply(trial, x);
+      return computeAll(trial).finalPerPc;
+    };
+
+    if (finalAt(0) > targetPerPc) return { ok: false, message: 'The target is below the cost of the other inputs, even at zero.' };
+
+    const cap = unknown.max ?? 1e7;
+    let lo = 0;
+    let hi = Math.min(cap, Math.max(1, unknown.current * 2));
+    while (finalAt(hi) <= targetPerPc && hi < cap) {
+      lo = hi;
+      hi = Math.min(cap, hi * 2);
+    }
+    if (finalAt(hi) <= targetPerPc) return { ok: true, value: hi, finalPerPc: finalAt(hi), capped: true };
+
+    for (let i = 0; i < 60; i++) {
+      const mid = (lo + hi) / 2;
+      if (finalAt(mid) <= targetPerPc) lo = mid; else hi = mid;
+    }
+    // Round down to the displayed precision so the quoted maximum never overshoots
+    const step = 10 ** unknown.decimals;
+    let value = Math.floor(lo * step) / step;
+    if (finalAt(value) > targetPerPc) value = Math.max(0, value - 1 / step);
+    return { ok: true, value, finalPerPc: finalAt(value), capped: false };
+  }
+
+  function renderTargetSolver(s) {
+    const box = document.createElement('details');
+    box.className = 'details';
+    if (!Array.isArray(s.notes)) s.notes = [];
+
+    const currency = (s.currency || DEFAULT_CURRENCY);
+    const unknowns = solverUnknowns(s);
+
+    box.innerHTML = `
+      <summary class="details__summary">Target price — what can I afford?</summary>
+      <div class="details__body">
+        <div class="form__grid">
+          <div class="field">
+            <label class="label">Buyer target (final price / pc, ${escapeHtml(currencyCodeOf(currency))})</label>
+            <input id="wTarget" class="input" type="number" inputmode="decimal" min="0" step="0.01" placeholder="e.g., 6.50" />
+          </div>
+          <div class="field">
+            <label class="label">Solve for</label>
+            <select id="wUnknown" class="input">
+              ${unknowns.map(u => `<option value="${escapeHtml(u.id)}">${escapeHtml(u.label)}</option>`).join('')}
+            </select>
+          </div>
+        </div>
+        <div class="help">All other inputs stay as entered. The answer is checked against the normal calculation.</div>
+
+        <div class="previewCTA">
+          <button id="btnSolve" class="btn btn--ghost" type="button">Solve</button>
+          <button id="btnSaveSolveNote" class="btn btn--ghost hidden" type="button">Save as note</button>
+        </div>
+        <div id="wSolveResult" class="stepHint"></div>
+
+        <div id="wNotes"></div>
+      </div>
+    `;
+
+    const resultEl = $('#wSolveResult', box);
+    const saveBtn = $('#btnSaveSolveNote', box);
+    let lastNote = '';
+
+    function renderNotes() {
+      const notesEl = $('#wNotes', box);
+      notesEl.innerHTML = wizardState.notes.length ? `
+        <div class="label" style="margin-top:12px;">Notes saved with this costing</div>
+        ${wizardState.notes.map((n, i) => `
+          <div class="note noteRow">
+            <span>${escapeHtml(n.text)}</span>
+            <button class="iconBtn iconBtn--danger" type="button" data-note="${i}" title="Remove note">✕</button>
+          </div>
+        `).join('')}
+      ` : '';
+      notesEl.querySelectorAll('[data-note]').forEach((b) => {
+        b.addEventListener('click', async () => {
+          wizardState.notes.splice(Number(b.getAttribute('data-note')), 1);
+          renderNotes();
+          await saveDraft(wizardState);
+        });
+      });
+    }
+
+    $('#btnSolve', box).addEventListener('click', () => {
+      hide(saveBtn);
+      const target = toNumOrNull($('#wTarget', box).value);
+      const unknown = unknowns.find(u => u.id === $('#wUnknown', box).value);
+      if (!(target > 0) || !unknown) { resultEl.textContent = 'Enter a target price greater than 0.'; return; }
+
+      const res = solveForTarget(wizardState, unknown, target);
+      if (!res.ok) { resultEl.textContent = res.message; return; }
+
+      const valueText = (unknown.unit === '%' || unknown.unit === 'gm')
+        ? `${formatPlain(res.value, unknown.decimals)}${unknown.unit === '%' ? '%' : ' gm'}`
+        : `${formatPlain(res.value, unknown.decimals)} ${unknown.unit}`;
+      lastNote = `Target ${formatMoney(target, currency)} / pc → ${unknown.label}: ${valueText}${res.capped ? ' (upper limit)' : ''} (final ${formatMoney(res.finalPerPc, currency)} / pc; current ${formatPlain(unknown.current, unknown.decimals)})`;
+      resultEl.innerHTML = `${escapeHtml(unknown.label)}: <strong>${escapeHtml(valueText)}</strong>${res.capped ? ' (upper limit)' : ''} → final ${escapeHtml(formatMoney(res.finalPerPc, currency))} / pc`;
+      show(saveBtn);
+    });
+
+    saveBtn.addEventListener('click', async () => {
+      if (!lastNote) return;
+      wizardState.notes.push({ text: lastNote, createdAt: new Date().toISOString() });
+      lastNote = '';
+      hide(saveBtn);
+      renderNotes();
+      await saveDraft(wizardState);
+    });
+
+    renderNotes();
+    return box;
+  }
+
+  // ===========
+  // Wizard navigation
+  // ===========
+  async function wizardNext() {
+    const step = STEPS[wizardStepIndex];
+    const v = validateStep(step, wizardState);
+    if (!v.ok) {
+      showWizardError(v.message || 'Please correct the input.');
+      return;
+    }
+    clearWizardError();
+
+    // Preview step "Next" => calculate & save
+    if (step.kind === 'preview') {
+      await calculateAndSave();
+      return;
+    }
+
+    wizardStepIndex = Math.min(STEPS.length - 1, wizardStepIndex + 1);
+    await saveDraft(wizardState);
+    await renderWizardStep();
+  }
+
+  async function wizardPrev() {
+    clearWizardError();
+    wizardStepIndex = Math.max(0, wizardStepIndex - 1);
+    await saveDraft(wizardState);
+    await renderWizardStep();
+  }
+
+  async function openWizard({ draftId = null, baseData = null } = {}) {
+    // baseData is used for duplication; without a draftId a new draft is started
+    const draft = draftId ? await loadDraft(draftId) : null;
+    currentDraftId = draft ? draftId : uuid();
+
+    wizardState = baseData ? structuredClone(baseData) : (draft ? structuredClone(draft) : defaultWizardState());
+    // Ensure version fields / defaults
+    wizardState.currency = currencyCodeOf(wizardState.currency);
+    if (!wizardState.lineCurrencies) wizardState.lineCurrencies = {};
+    if (!wizardState.lineUnits) wizardState.lineUnits = {};
+    wizardState.fx = await loadRatesSnapshot();
+    await loadGauges();
+    await loadBuyers();
+    await loadYarns();
+    await loadSanityRules();
+    if (!wizardState.sanityAcks) wizardState.sanityAcks = {};
+    ['buyer', 'season', 'brand', 'orderQty', 'deliveryDate'].forEach((k) => { if (wizardState[k] == null) wizardState[k] = ''; });
+    if (wizardState.wastagePct === '' || wizardState.wastagePct === null || wizardState.wastagePct === undefined) wizardState.wastagePct = 8;
+    if (!Array.isArray(wizardState.markups)) wizardState.markups = structuredClone(DEFAULT_MARKUPS);
+    if (!wizardState.cmMode) wizardState.cmMode = 'manual';
+    if (!wizardState.incoterm) wizardState.incoterm = 'FOB';
+    if (!wizardState.smv) wizardState.smv = defaultWizardState().smv;
+    if (!wizardState.packing) wizardState.packing = defaultWizardState().packing;
+    if (!wizardState.fabricMode) wizardState.fabricMode = 'manual';
+    if (!wizardState.fabric) wizardState.fabric = defaultWizardState().fabric;
+    if (!Array.isArray(wizardState.processes)) wizardState.processes = [];
+    if (!Array.isArray(wizardState.accessories)) {
+      wizardState.accessories = accessoriesOf(wizardState);
+      delete wizardState.accessoriesCostDoz;
+    }
+    if (!Array.isArray(wizardState.yarns)) {
+      wizardState.yarns = yarnComponentsOf(wizardState);
+      wizardState.yarnShareUnit = 'pct';
+      delete wizardState.yarnDesc;
+      delete wizardState.yarnPricePerLb;
+    }
+
+    wizardStepIndex = 0;
+    // Only a blank new costing waits for an edit; duplicates and scenarios are kept at once
+    untouchedDraftJson = (draft || baseData) ? null : draftJsonOf(wizardState);
+    // A draft reopens in the view it was left in; new costings keep the last view used
+    await setEntryMode((wizardState.entryMode || entryMode) === 'form' ? 'form' : 'wizard');
+  }
+
+  // Switches between the wizard and the single-page form for the same draft
+  async function setEntryMode(mode) {
+    clearWizardError();
+    entryMode = mode;
+    wizardState.entryMode = mode;
+    await saveDraft(wizardState);
+    if (mode === 'form') {
+      showView(viewForm);
+      await renderForm();
+    } else {
+      showView(viewWizard);
+      await renderWizardStep();
+    }
+  }
+
+  async function jumpToStep(id) {
+    if (entryMode === 'form') {
+      formSections.find(x => x.step.id === id)?.el.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      return;
+    }
+    wizardStepIndex = stepIndexOf(id);
+    await renderWizardStep();
+  }
+
+  // Redraws one step in whichever entry view is open
+  async function redrawStep(step) {
+    if (entryMode === 'form') {
+      const sec = formSections.find(x => x.step.id === step.id);
+      if (sec) renderFormSection(sec);
+      return;
+    }
+    await renderWizardStep();
+  }
+
+  // ===========
+  // Form mode (every step on one page)
+  // ===========
+  let formSections = [];
+  let formRefresh = null;
+
+  function renderFormSection(sec) {
+    sec.body.innerHTML = '';
+    sec.body.appendChild(renderStepBody(sec.step, wizardState));
+  }
+
+  async function renderForm() {
+    // Re-snapshot rates so edits made in Settings apply to the open costing
+    wizardState.fx = await loadRatesSnapshot();
+
+    formBody.innerHTML = '';
+    formSections = STEPS.map((step) => {
+      const el = document.createElement('section');
+      el.className = 'wizard__card formSection';
+      el.innerHTML = `
+        <div class="wizard__title">${escapeHtml(step.kind === 'preview' ? 'Live costing' : step.title)}</div>
+        <div class="formSection__error hidden"></div>
+        <div class="wizard__body"></div>
+      `;
+      const sec = { step, el, body: $('.wizard__body', el), error: $('.formSection__error', el), invalid: false };
+      renderFormSection(sec);
+      formBody.appendChild(el);
+      return sec;
+    });
+  }
+
+  // Same rules as the wizard's Next button; returns the first failing step
+  function markFormErrors() {
+    let first = null;
+    formSections.forEach((sec) => {
+      const v = validateStep(sec.step, wizardState);
+      const message = v.ok ? '' : (v.message || 'Please correct the input.');
+      sec.invalid = !v.ok;
+      sec.el.classList.toggle('formSection--invalid', !v.ok);
+      sec.error.textContent = message;
+      (v.ok ? hide : show)(sec.error);
+      if (!v.ok && !first) first = { id: sec.step.id, message };
+    });
+    return first;
+  }
+
+  // Typing refreshes the computed steps and the live costing; a committed
+  // change (blur, select, button) also redraws the other steps, since steps
+  // share state (gauge defaults, weight, yarn lines). The step being edited
+  // and the focused one are left alone so the cursor is never lost.
+  function scheduleFormRefresh(e, full) {
+    const source = e.target.closest?.('.formSection');
+    const sourceSec = formSections.find(x => x.el === source);
+    if (!sourceSec || sourceSec.step.kind === 'preview') return;
+
+    formRefresh = formRefresh || { full: false, sources: new Set() };
+    formRefresh.full = formRefresh.full || full;
+    formRefresh.sources.add(sourceSec);
+    clearTimeout(formRefresh.timer);
+    formRefresh.timer = setTimeout(() => {
+      const { full: redrawAll, sources } = formRefresh;
+      formRefresh = null;
+      if (!wizardState || entryMode !== 'form') return;
+      const focused = formSections.find(x => x.el.contains(document.activeElement));
+      formSections.forEach((sec) => {
+        if (sources.has(sec) || sec === focused) return;
+        if (redrawAll || sec.step.kind === 'computed' || sec.step.kind === 'preview') renderFormSection(sec);
+      });
+      if (formSections.some(x => x.invalid)) markFormErrors();
+    }, 200);
+  }
+
+  async function formSave() {
+    const failed = markFormErrors();
+    if (failed) {
+      showWizardError(failed.message);
+      await jumpToStep(failed.id);
+      return;
+    }
+    clearWizardError();
+    await calculateAndSave();
+  }
+
+  // ===========
+  // Save product from wizard
+  // ===========
+  // Final immutable record (read-only by design) for a validated state
+  function buildProduct(s) {
+    const computed = computeAll(s);
+    const now = new Date().toISOString();
+    return {
+      id: uuid(),
+      createdAt: now,
+      updatedAt: now,
+      appVersion: APP_VERSION,
+      calcVersion: CALC_VERSION,
+
+      // approval workflow (see APPROVAL_TRANSITIONS)
+      status: 'draft',
+      statusLog: [],
+
+      // lineage (set when saved from a duplicate)
+      parentId: s.parentId || null,
+      revision: s.revision || 1,
+
+      // style
+      styleName: String(s.styleName || '').trim(),
+      yarnDesc: yarnDescOf(s.yarns, s.yarnShareUnit),
+      composition: String(s.composition || '').trim(),
+      gauge: Number(s.gauge),
+
+      // library yarns used (indexed for the yarn library's "used in" list)
+      yarnIds: [...new Set(s.yarns.map(y => y.yarnId).filter(Boolean))],
+
+      // order
+      buyer: String(s.buyer || '').trim(),
+      season: String(s.season || '').trim(),
+      brand: String(s.brand || '').trim(),
+      orderQty: toNumOrNull(s.orderQty),
+      deliveryDate: s.deliveryDate || '',
+
+      weightGm: toNum(computed.weightGm),
+
+      currency: currencyCodeOf(s.currency),
+
+      incoterm: computed.incoterm,
+
+      notes: Array.isArray(s.notes) ? s.notes.map(n => ({ text: n.text, createdAt: n.createdAt })) : [],
+
+      // plausibility warnings the user acknowledged on the preview
+      sanityWarnings: sanityWarningsOf(s, computed).map(w => ({ ...w, acknowledgedAt: s.sanityAcks[w.message] })),
+
+      // photo
+      photo: {
+        blob: s.photo?.blob || null,
+        type: s.photo?.type || 'image/jpeg',
+        width: s.photo?.width || null,
+        height: s.photo?.height || null,
+      },
+
+      // inputs (factory sheet)
+      inputs: {
+        yarns: s.yarns.map((y) => ({
+          // library snapshot: which yarn and which dated price (blank = typed)
+          yarnId: y.yarnId || '',
+          supplier: y.yarnId ? (y.supplier || '') : '',
+          priceDate: y.yarnId ? (y.priceDate || '') : '',
+          desc: String(y.desc || '').trim(),
+          share: toNum(y.share),
+          price: toNum(y.price),
+          priceUnit: y.priceUnit === 'kg' ? 'kg' : 'lb',
+          currency: y.currency ? currencyCodeOf(y.currency) : '',
+          wastagePct: toNumOrNull(y.wastagePct),
+        })),
+        yarnShareUnit: s.yarnShareUnit === 'gm' ? 'gm' : 'pct',
+        sizeMode: !!s.sizeMode,
+        sizes: s.sizeMode ? s.sizes.map(z => ({ size: String(z.size || '').trim(), weightGm: toNum(z.weightGm), ratio: toNum(z.ratio) })) : [],
+        sizeWisePricing: !!(s.sizeMode && s.sizeWisePricing),
+        wastagePct: toNum(s.wastagePct),
+        accessories: computed.accessoryLines,
+        processes: computed.processLines.map(({ label, basis, rate }) => ({ label, basis, value: rate })),
+        accessoriesCostDoz: computed.moneyLines.accessoriesCostDoz.amount,
+        fabricDoz: toNum(s.fabricDoz),
+        fabricMode: s.fabricMode === 'consumption' ? 'consumption' : 'manual',
+        fabricCostDoz: s.fabricMode === 'consumption' ? null : toNum(s.fabricCostDoz),
+        fabric: s.fabricMode === 'consumption'
+          ? { unit: computed.fabric.unit, ...Object.fromEntries(FABRIC_FIELDS.map(([key]) => [key, toNum(s.fabric?.[key])])) }
+          : null,
+        fabricAttachCostDoz: toNum(s.fabricAttachCostDoz),
+        timingMin: Math.trunc(toNum(s.timingMin)),
+        cmMode: s.cmMode === 'smv' ? 'smv' : 'manual',
+        cmDoz: s.cmMode === 'smv' ? null : toNum(s.cmDoz),
+        smv: computed.cmSmv,
+        packing: Object.fromEntries(PACKING_FIELDS.map(([key]) => [key, toNum(s.packing?.[key])])),
+        markups: computed.markupLines.map(({ label, kind, value }) => ({ label, kind, value })),
+        lineCurrencies: { ...(s.lineCurrencies || {}) },
+        lineUnits: { ...(s.lineUnits || {}) },
+        fx: fxSnapshotFor(s),
+        freightPc: toNum(s.freightPc),
+        insurancePct: toNum(s.insurancePct),
+        dutyPct: toNum(s.dutyPct),
+        destHandlingPc: toNum(s.destHandlingPc),
+      },
+
+      // computed snapshot (audit)
+      computed: {
+        lbsPerDoz: computed.lbsPerDoz,
+        lbsWithWastage: computed.lbsWithWastage,
+        yarnLines: computed.yarnLines,
+        yarnCostDoz: computed.yarnCostDoz,
+        cmDoz: computed.cmDoz,
+        fabric: computed.fabric,
+        packing: computed.packing,
+        processLines: computed.processLines,
+        sizeLines: computed.sizeLines,
+        moneyLines: computed.moneyLines,
+        totalDoz: computed.totalDoz,
+        fobPerPc: computed.fobPerPc,
+        markupLines: computed.markupLines,
+        finalPerPc: computed.finalPerPc,
+        incotermLines: computed.incotermLines,
+        quotePerPc: computed.quotePerPc,
+      },
+    };
+  }
+
+  async function calculateAndSave() {
+    // Re-validate every step (required fields, ranges, markup layers)
+    for (const st of STEPS) {
+      const v = validateStep(st, wizardState);
+      if (!v.ok) { showWizardError(v.message || 'Please correct the input.'); return; }
+    }
+
+    const product = buildProduct(wizardState);
+
+    try {
+      await window.GCDB.putProduct(product);
+      await clearDraft();
+      wizardState = null;
+      currentDraftId = null;
+      wizardStepIndex = 0;
+      await loadAndRenderList();
+      openDetail(product);
+    } catch (e) {
+      console.error(e);
+      showWizardError('Could not save this costing. Please try again.');
+    }
+  }
+
+  // ===========
+  // List view rendering
+  // ===========
+  function renderDraftList(drafts) {
+    if (!draftList) return;
+    if (!drafts.length) { hide(draftList); draftList.innerHTML = ''; return; }
+
+    show(draftList);
+    draftList.innerHTML = `
+      <div><strong>Drafts in progress (${drafts.length}):</strong> unfinished costings are kept until saved or discarded.</div>
+      ${drafts.map((d, i) => `
+        <div class="draftRow">
+          <div>
+            <strong>${escapeHtml(d.name || draftNameOf(d.data))}</strong>
+            <span class="muted">• last edited ${escapeHtml(formatDate(d.updatedAt))}</span>
+          </div>
+          <div class="draftRow__actions">
+            <button class="btn btn--ghost" type="button" data-resume="${i}">Resume</button>
+            <button class="btn btn--ghost" type="button" data-rename="${i}">Rename</button>
+            <button class="btn btn--danger" type="button" data-discard="${i}">Discard</button>
+          </div>
+        </div>
+      `).join('')}
+    `;
+
+    draftList.querySelectorAll('[data-resume]').forEach((b) => {
+      b.addEventListener('click', () => openWizard({ draftId: drafts[Number(b.getAttribute('data-resume'))].id }));
+    });
+    draftList.querySelectorAll('[data-rename]').forEach((b) => {
+      b.addEventListener('click', async () => {
+        const d = drafts[Number(b.getAttribute('data-rename'))];
+        const name = prompt('Draft name (blank = style name)', d.data?.draftName || '');
+        if (name === null) return;
+        const data = { ...d.data, draftName: name.trim() };
+        await window.GCDB.putDraft({ ...d, name: draftNameOf(data), data });
+        renderDraftList(await loadDrafts());
+      });
+    });
+    draftList.querySelectorAll('[data-discard]').forEach((b) => {
+      b.addEventListener('click', async () => {
+        const d = drafts[Number(b.getAttribute('data-discard'))];
+        const ok = confirm(`Discard the draft "${d.name || draftNameOf(d.data)}"? This cannot be undone.`);
+        if (!ok) return;
+        await clearDraft(d.id);
+        renderDraftList(await loadDrafts());
+      });
+    });
+  }
+
+  function renderList(items) {
+    productList.innerHTML = '';
+
+    if (!items.length) {
+      show(emptyState);
+      return;
+    }
+    hide(emptyState);
+
+    items.forEach((p) => {
+      const currency = p.currency || DEFAULT_CURRENCY;
+      const headline = headlineOf(p);
+
+      const card = document.createElement('article');
+      card.className = 'card';
+
+      const imgUrl = p.photo?.blob ? URL.createObjectURL(p.photo.blob) : null;
+
+      const composition = p.composition ? escapeHtml(p.composition) : '—';
+      const superseded = productsCache.some(x => x.parentId === p.id);
+      const gaugeWeight = `${escapeHtml(String(p.gauge))}gg / ${escapeHtml(String(Math.round(p.weightGm)))} gm`;
+
+      card.innerHTML = `
+        ${imgUrl ? `<img class="thumb" src="${imgUrl}" alt="Product photo" />` : `<div class="thumbPlaceholder">No photo</div>`}
+
+        <div class="card__body">
+          <div class="card__row">
+            <div class="card__title">${escapeHtml(p.styleName)}</div>
+            ${statusOf(p) === 'approved' ? '' : '<button class="iconBtn iconBtn--danger" type="button" title="Delete">🗑</button>'}
+          </div>
+
+          <div class="card__value">${escapeHtml(formatMoney(headline.pricePc, currency))} <span class="per">/ pc ${escapeHtml(headline.incoterm)}</span></div>
+          <div class="card__meta">
+            ${composition} &nbsp;&nbsp; ${gaugeWeight} &nbsp;&nbsp; ${escapeHtml(formatDate(p.createdAt))}
+          </div>
+          ${(p.buyer || p.season) ? `<div class="card__meta">${escapeHtml([p.buyer, p.season].filter(Boolean).join(' • '))}</div>` : ''}
+          <div class="card__meta">
+            ${statusBadgeHtml(p)}
+            ${(p.revision > 1 || superseded) ? `<span class="badge badge--muted">Rev ${escapeHtml(String(p.revision || 1))}</span>` : ''}
+            ${superseded ? '<span class="badge badge--warn">Superseded</span>' : ''}
+          </div>
+        </div>
+      `;
+
+      // Open detail (but not when clicking delete)
+      card.addEventListener('click', async (e) => {
+        const isDelete = (e.target instanceof HTMLElement) && e.target.closest('.iconBtn--danger');
+        if (isDelete) return;
+        openDetail(p);
+      });
+
+      // Delete
+      const delBtn = $('.iconBtn--danger', card);
+      delBtn?.addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        const ok = confirm(`Move costing "${p.styleName}" to the trash? You can restore it from Trash.`);
+        if (!ok) return;
+        await window.GCDB.trashProduct(p.id);
+        await loadAndRenderList();
+      });
+
+      productList.appendChild(card);
+
+      if (imgUrl) setTimeout(() => URL.revokeObjectURL(imgUrl), 60_000);
+    });
+  }
+
+  // Card headline price / pc in BASE_CURRENCY at the record's own rate; null when it kept none
+  function listPriceOf(p) {
+    const { pricePc } = headlineOf(p);
+    const code = currencyCodeOf(p.currency);
+    if (code === BASE_CURRENCY) return pricePc;
+    const unitsPerBase = toNum(p.inputs?.fx?.rates?.[code]?.unitsPerBase);
+    return unitsPerBase ? pricePc / unitsPerBase : null;
+  }
+
+  // Records without a comparable price sort last either way
+  function compareListPrice(a, b, dir) {
+    const x = listPriceOf(a);
+    const y = listPriceOf(b);
+    if (x == null || y == null) return (x == null) - (y == null);
+    return dir * (x - y);
+  }
+
+  // List sort orders; the products store already returns newest first
+  const LIST_SORTS = [
+    { value: 'newest', label: 'Newest first', compare: null },
+    { value: 'oldest', label: 'Oldest first', compare: (a, b) => String(a.createdAt).localeCompare(String(b.createdAt)) },
+    { value: 'fobAsc', label: `Quoted price in ${BASE_CURRENCY} (low → high)`, compare: (a, b) => compareListPrice(a, b, 1) },
+    { value: 'fobDesc', label: `Quoted price in ${BASE_CURRENCY} (high → low)`, compare: (a, b) => compareListPrice(a, b, -1) },
+    { value: 'weightAsc', label: 'Weight (light → heavy)', compare: (a, b) => toNum(a.weightGm) - toNum(b.weightGm) },
+    { value: 'weightDesc', label: 'Weight (heavy → light)', compare: (a, b) => toNum(b.weightGm) - toNum(a.weightGm) },
+    { value: 'name', label: 'Style name (A → Z)', compare: (a, b) => String(a.styleName || '').localeCompare(String(b.styleName || '')) },
+  ];
+
+  let listViews = [];
+
+  // Every list control carries data-filter="<key>"; a saved view is that key -> value map
+  function listFilterOf() {
+    const f = {};
+    viewList.querySelectorAll('[data-filter]').forEach((el) => { f[el.getAttribute('data-filter')] = el.value; });
+    return f;
+  }
+
+  function applyListFilter(f) {
+    viewList.querySelectorAll('[data-filter]').forEach((el) => {
+      const key = el.getAttribute('data-filter');
+      // The option must exist before it can be selected
+      if (el.tagName === 'SELECT' && f[key] && ![...el.options].some(o => o.value === f[key])) {
+        el.insertAdjacentHTML('beforeend', `<option value="${escapeHtml(f[key])}">${escapeHtml(f[key])}</option>`);
+      }
+      el.value = f[key] ?? (key === 'sort' ? 'newest' : '');
+    });
+  }
+
+  function matchesListFilter(p, f) {
+    const q = String(f.q || '').trim().toLowerCase();
+    if (q && ![p.styleName, p.yarnDesc, p.composition].some(v => String(v || '').toLowerCase().includes(q))) return false;
+    if (f.gauge && String(p.gauge) !== f.gauge) return false;
+    if (f.calcVersion && p.calcVersion !== f.calcVersion) return false;
+    if (f.currency && currencyCodeOf(p.currency) !== f.currency) return false;
+    const weight = toNum(p.weightGm);
+    if (f.weightMin !== '' && f.weightMin != null && weight < toNum(f.weightMin)) return false;
+    if (f.weightMax !== '' && f.weightMax != null && weight > toNum(f.weightMax)) return false;
+    const hasMin = f.fobMin !== '' && f.fobMin != null;
+    const hasMax = f.fobMax !== '' && f.fobMax != null;
+    if (hasMin || hasMax) {
+      const price = listPriceOf(p);
+      if (price == null) return false;
+      if (hasMin && price < toNum(f.fobMin)) return false;
+      if (hasMax && price > toNum(f.fobMax)) return false;
+    }
+    const day = String(p.createdAt).slice(0, 10);
+    if (f.from && day < f.from) return false;
+    if (f.to && day > f.to) return false;
+    return true;
+  }
+
+  // Active filters besides search / buyer / season (shown on the collapsed panel)
+  function advancedFilterCount(f) {
+    return ['gauge', 'weightMin', 'weightMax', 'fobMin', 'fobMax', 'from', 'to', 'calcVersion', 'currency'].filter(k => f[k]).length
+      + (f.sort && f.sort !== 'newest' ? 1 : 0);
+  }
+
+  async function loadListViews() {
+    try {
+      listViews = (await window.GCDB.getSetting('listViews')) || [];
+    } catch (e) {
+      console.warn('Saved views load failed', e);
+    }
+    return listViews;
+  }
+
+  function renderSavedViews(selected = savedViews.value) {
+    savedViews.innerHTML = `<option value="">Saved views…</option>` + listViews
+      .map(v => `<option value="${escapeHtml(v.name)}" ${v.name === selected ? 'selected' : ''}>${escapeHtml(v.name)}</option>`).join('');
+  }
+
+  async function saveListView() {
+    const name = String(prompt('Name this view:', savedViews.value || '') || '').trim();
+    if (!name) return;
+    listViews = listViews.filter(v => v.name !== name).concat({ name, filter: listFilterOf() })
+      .sort((a, b) => a.name.localeCompare(b.name));
+    await window.GCDB.putSetting('listViews', listViews);
+    renderSavedViews(name);
+  }
+
+  async function deleteListView() {
+    const name = savedViews.value;
+    if (!name) return;
+    const ok = confirm(`Delete saved view "${name}"?`);
+    if (!ok) return;
+    listViews = listViews.filter(v => v.name !== name);
+    await window.GCDB.putSetting('listViews', listViews);
+    renderSavedViews('');
+  }
+
+  // Distinct non-blank seasons across records, sorted
+  function seasonsOf(products) {
+    return [...new Set(products.map(p => String(p.season || '').trim()).filter(Boolean))].sort();
+  }
+
+  function renderListFilters() {
+    const buyers = [...new Set([...buyersCache.map(b => b.name), ...productsCache.map(p => String(p.buyer || '').trim())].filter(Boolean))].sort();
+    const option = (value, label, selected) => `<option value="${escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+    // A selection (e.g. from a saved view) stays listed even if no record uses it now
+    const keep = (values, selected) => (selected && !values.includes(selected) ? values.concat(selected) : values);
+    const buyer = filterBuyer.value;
+    const season = filterSeason.value;
+    filterBuyer.innerHTML = option('', 'All buyers', buyer) + keep(buyers, buyer).map(b => option(b, b, buyer)).join('');
+    filterSeason.innerHTML = option('', 'All seasons', season) + keep(seasonsOf(productsCache), season).map(x => option(x, x, season)).join('');
+
+    const distinct = (fn, selected) => keep([...new Set(productsCache.map(fn).filter(Boolean))], selected);
+    const gauge = filterGauge.value;
+    const calcVersion = filterCalcVersion.value;
+    const currency = filterCurrency.value;
+    const sort = listSort.value || 'newest';
+    filterGauge.innerHTML = option('', 'All gauges', gauge) + distinct(p => String(p.gauge ?? ''), gauge).sort((a, b) => Number(a) - Number(b)).map(g => option(g, `${g}gg`, gauge)).join('');
+    filterCalcVersion.innerHTML = option('', 'All versions', calcVersion) + distinct(p => p.calcVersion, calcVersion).sort().map(v => option(v, v, calcVersion)).join('');
+    filterCurrency.innerHTML = option('', 'All currencies', currency) + distinct(p => currencyCodeOf(p.currency), currency).sort().map(c => option(c, c, currency)).join('');
+    listSort.innerHTML = LIST_SORTS.map(o => option(o.value, o.label, sort)).join('');
+  }
+
+  // Buyer / season filters read through the products store indexes
+  async function filteredProducts() {
+    const buyer = filterBuyer.value;
+    const season = filterSeason.value;
+    let items = productsCache;
+    if (buyer) items = await window.GCDB.getProductsBy('buyer', buyer);
+    else if (season) items = await window.GCDB.getProductsBy('season', season);
+    if (buyer && season) items = items.filter(p => p.season === season);
+    return items;
+  }
+
+  async function loadAndRenderList() {
+    try {
+      productsCache = await window.GCDB.getAllProducts();
+      await loadBuyers();
+      renderListFilters();
+      const f = listFilterOf();
+      const items = (await filteredProducts()).filter(p => matchesListFilter(p, f));
+      const compare = LIST_SORTS.find(o => o.value === f.sort)?.compare;
+      if (compare) items.sort(compare);
+      const active = advancedFilterCount(f);
+      listFilterCount.textContent = active ? `(${active} active)` : '';
+      renderList(items);
+
+      renderDraftList(await loadDrafts());
+    } catch (e) {
+      console.error(e);
+      // Show empty state to avoid dead UI
+      renderList([]);
+      renderDraftList([]);
+    }
+  }
+
+  // ===========
+  // Backup / Restore (JSON)
+  // ===========
+  // Convert blob -> base64 for portability
+  async function productToBackup(p) {
+    if (!p.photo?.blob) return { ...p, photo: null };
+    const base64 = await blobToDataUrl(p.photo.blob);
+    return { ...p, photo: { base64, type: p.photo.type || 'image/jpeg', width: p.photo.width, height: p.photo.height } };
+  }
+
+  function productFromBackup(raw) {
+    const p = structuredClone(raw);
+    if (p.photo?.base64) {
+      const blob = dataUrlToBlob(p.photo.base64);
+      p.photo = { blob, type: p.photo.type || 'image/jpeg', width: p.photo.width || null, height: p.photo.height || null };
+    }
+    return p;
+  }
+
+  // v3 adds the master data costings point to (yarns, buyers, gauges, rates),
+  // settings (sanity rules, saved views, …) and the trash
+  async function exportBackup() {
+    const items = [];
+    for (const p of await window.GCDB.getAllProducts()) items.push(await productToBackup(p));
+    const trash = [];
+    for (const t of await window.GCDB.getAllTrash()) trash.push({ ...t, product: await productToBackup(t.product) });
+
+    const payload = {
+      schema: 'garment-costing-backup-v3',
+      exportedAt: new Date().toISOString(),
+      appVersion: APP_VERSION,
+      calcVersion: CALC_VERSION,
+      items,
+      yarns: await window.GCDB.getAllYarns(),
+      buyers: await window.GCDB.getAllBuyers(),
+      gauges: await window.GCDB.getAllGauges(),
+      rates: await window.GCDB.getAllRates(),
+      settings: await window.GCDB.getAllSettings(),
+      trash,
+    };
+
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `garment-costing-backup-${Date.now()}.json`);
+  }
+
+  // [section, key field]; v1 / v2 backups have items only
+  const BACKUP_SECTIONS = [
+    ['items', 'id'], ['yarns', 'id'], ['buyers', 'name'], ['gauges', 'gauge'],
+    ['rates', 'id'], ['settings', 'key'], ['trash', 'id'],
+  ];
+
+  // Why a parsed backup can't be restored ('' when it can)
+  function backupProblemOf(data) {
+    if (!data || typeof data !== 'object') return 'it is not a backup JSON file';
+    if (!Array.isArray(data.items)) return 'it has no costings list';
+    for (const [section, keyField] of BACKUP_SECTIONS) {
+      if (data[section] === undefined) continue;
+      if (!Array.isArray(data[section])) return `"${section}" is not a list`;
+      const bad = data[section].findIndex(row => !row || typeof row !== 'object' || row[keyField] == null || row[keyField] === '');
+      if (bad >= 0) return `${section} entry ${bad + 1} has no ${keyField}`;
+    }
+    const badTrash = (data.trash || []).findIndex(t => !t.product || typeof t.product !== 'object' || t.product.id !== t.id);
+    if (badTrash >= 0) return `trash entry ${badTrash + 1} has no matching costing`;
+    return '';
+  }
+
+  async function importBackup(file) {
+    let data = null;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (e) {
+      console.warn('Backup parse failed', e);
+    }
+    const problem = backupProblemOf(data);
+    if (problem) {
+      alert(`Invalid backup file: ${problem}. Nothing was imported.`);
+      return;
+    }
+
+    let lockedSkipped = 0;
+    try {
+      const list = (key) => data[key] || [];
+      const existing = await window.GCDB.getAllProducts();
+      // Approved costings are locked, so a backup never replaces one
+      const lockedIds = new Set(existing.filter(p => statusOf(p) === 'approved').map(p => p.id));
+      const products = data.items.filter(p => !lockedIds.has(p.id)).map(productFromBackup);
+      lockedSkipped = data.items.length - products.length;
+      // A costing is either live or in the trash, never both
+      const live = new Set([...existing.map(p => p.id), ...products.map(p => p.id)]);
+      const trash = list('trash').filter(t => !live.has(t.id)).map(t => ({ ...t, product: productFromBackup(t.product) }));
+
+      await window.GCDB.restoreBackup({
+        products,
+        yarns: list('yarns'),
+        buyers: list('buyers'),
+        gauges: list('gauges'),
+        rates: list('rates'),
+        settings: list('settings'),
+        trash,
+      });
+    } catch (e) {
+      console.error(e);
+      alert('Could not import the backup. Nothing was changed.');
+      return;
+    }
+    if (lockedSkipped) alert(`${lockedSkipped} approved costing(s) already here were kept as they are; their backup copies were skipped.`);
+
+    await loadListViews();
+    renderSavedViews();
+    await loadAndRenderList();
+  }
+
+  function dataUrlToBlob(dataUrl) {
+    const [meta, b64] = String(dataUrl).split(',');
+    const mime = meta.match(/data:(.*?);base64/)?.[1] || 'application/octet-stream';
+    const bin = atob(b64);
+    const len = bin.length;
+    const buf = new Uint8Array(len);
+    for (let i = 0; i < len; i++) buf[i] = bin.charCodeAt(i);
+    return new Blob([buf], { type: mime });
+  }
+
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 5000);
+  }
+
+  // ===========
+  // Detail view (read-only)
+  // ===========
+  function openDetail(product) {
+    currentDetail = product;
+
+    const currency = product.currency || DEFAULT_CURRENCY;
+    const created = formatDate(product.createdAt);
+
+    detailMeta.textContent = `Created: ${created} • Rev ${product.revision || 1} • Calc ${product.calcVersion} • App v${product.appVersion}`;
+
+    const imgUrl = product.photo?.blob ? URL.createObjectURL(product.photo.blob) : null;
+
+    const comp = product.composition ? escapeHtml(product.composition) : '—';
+    const gauge = escapeHtml(String(product.gauge));
+    const weight = escapeHtml(String(Math.round(product.weightGm)));
+
+    const finalFob = product.computed?.finalPerPc ?? 0;
+    const headline = headlineOf(product);
+
+    const inputs = product.inputs || {};
+    const computed = product.computed || {};
+
+    const markupLines = markupLinesOf(product);
+    const yarnLines = yarnLinesOf(product);
+    const sizeLines = Array.isArray(computed.sizeLines) ? computed.sizeLines : [];
+    const accessories = Array.isArray(inputs.accessories) ? inputs.accessories : [];
+    const check = recheckProduct(product);
+
+    detailCard.innerHTML = `
+      <div class="detail-card">
+        <div class="detail-card__media">
+          ${imgUrl ? `<img src="${imgUrl}" alt="Product photo" />` : `<div class="thumbPlaceholder" style="height:240px;border-radius:0;">No photo</div>`}
+        </div>
+
+        <div class="detail-card__body">
+          <div class="detail-title">${escapeHtml(product.styleName)}</div>
+
+          <div class="kv">
+            <span class="pill">Composition <strong>${comp}</strong></span>
+            <span class="pill">Yarn <strong>${escapeHtml(product.yarnDesc)}</strong></span>
+            <span class="pill">Gauge <strong>${gauge}gg</strong></span>
+            ${orderPillsOf(product).map(([label, value]) => `<span class="pill">${escapeHtml(label)} <strong>${escapeHtml(value)}</strong></span>`).join('')}
+            <span class="pill">Weight <strong>${weight} gm</strong></span>
+          </div>
+
+          <div class="finalHero" role="group" aria-label="${escapeHtml(headline.label)}">
+            <div class="finalHero__label">${escapeHtml(headline.label)}</div>
+            <div class="finalHero__value">
+              ${escapeHtml(formatMoney(headline.pricePc, currency))}
+              <span class="per">/ pc</span>
+            </div>
+          </div>
+
+          <div class="note">
+            Read-only record. Use <strong>“Duplicate &amp; Recalculate”</strong> to create a new audited version.
+          </div>
+
+          ${(product.notes || []).map(n => `
+            <div class="note">
+              <strong>Note</strong> <span class="muted">${escapeHtml(formatDate(n.createdAt))}</span><br />${escapeHtml(n.text)}
+            </div>
+          `).join('')}
+
+          ${(product.sanityWarnings || []).map(w => `
+            <div class="note">
+              <strong>Acknowledged warning</strong> <span class="muted">${escapeHtml(formatDate(w.acknowledgedAt))}</span><br />${escapeHtml(w.message)}
+            </div>
+          `).join('')}
+        </div>
+      </div>
+
+      <div class="detail-card">
+        <div class="detail-card__body breakdown">
+          <div class="detail-title" style="display:flex;align-items:center;justify-content:space-between;gap:10px;">
+            <span>Cost breakdown</span>
+            ${recheckBadgeHtml(check, product.calcVersion)}
+          </div>
+
+          ${isKnownCurrency(currency) ? '' : `
+          <div class="alert">
+            <strong>Unrecognised currency.</strong> This record's currency "${escapeHtml(currencyCodeOf(currency))}" is not a known code, so amounts are shown as saved and not converted. Pick the right currency when you duplicate it.
+          </div>
+          `}
+
+          ${check.mismatches.length ? `
+          <div class="alert">
+            <strong>Snapshot mismatch.</strong> Re-running ${escapeHtml(product.calcVersion)} on the saved inputs gives:
+            ${check.mismatches.map(m => `<br />${escapeHtml(m.label)}: stored ${escapeHtml(m.format === 'money' ? formatMoney(m.stored, currency) : formatPlain(m.stored, 2))}, recomputed ${escapeHtml(m.format === 'money' ? formatMoney(m.recomputed, currency) : formatPlain(m.recomputed, 2))}`).join('')}
+          </div>
+          ` : ''}
+
+          <table class="table" role="table" aria-label="Cost breakdown">
+            <thead>
+              <tr><th>Component</th><th>Cost</th></tr>
+            </thead>
+            <tbody>
+              ${[
+                ...(yarnLines.length > 1 ? yarnLines.map((y, i) => [`${yarnLineTitle(y, i, yarnLines.length)} (per dozen)`, formatMoney(y.costDoz, currency)]) : []),
+                ['Yarn Cost (per dozen)', computed.yarnCostDoz == null ? '—' : formatMoney(computed.yarnCostDoz, currency)],
+                ['Accessories Cost (per dozen)', moneyLineText(moneyLineOf(product, 'accessoriesCostDoz'), currency)],
+                ['Fabric (per dozen)', moneyLineText(moneyLineOf(product, 'fabricDoz'), currency)],
+                ['Fabric Cost (per dozen)', moneyLineText(moneyLineOf(product, 'fabricCostDoz'), currency)],
+                ...(computed.fabric ? [['Fabric consumption', fabricBasisText(computed.fabric)]] : []),
+                ['Fabric Attachment CM (per dozen)', moneyLineText(moneyLineOf(product, 'fabricAttachCostDoz'), currency)],
+                ...processLinesOf(product).map(p => [`${processTitle(p, p.currency)} (per dozen)`, moneyLineText(p, currency)]),
+                ...packingRowsOf(product, currency, ' (per dozen)'),
+                ['CM (per dozen)', moneyLineText(moneyLineOf(product, 'cmDoz'), currency)],
+                ['Costing price / FOB (per pc)', formatMoney(toNum(computed.fobPerPc), currency), 'total'],
+                ...markupLines.map(l => [`${markupTitle(l, currency)} (per pc)`, `+${formatMoney(l.amountPc, currency)}`]),
+                ['Final price (per pc)', formatMoney(finalFob, currency), 'total'],
+                ...headline.lines.map(l => [`${l.label} (per pc)`, `+${formatMoney(l.amountPc, currency)}`]),
+                ...(headline.incoterm !== 'FOB' ? [[`Final ${headline.incoterm} price (per pc)`, formatMoney(headline.pricePc, currency), 'total']] : []),
+              ].map(([k, v, kind]) => `
+                <tr class="${kind === 'total' ? 'total-row' : ''}">
+                  <td>${escapeHtml(String(k))}</td>
+                  <td>${escapeHtml(String(v))}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+
+          <details class="details">
+            <summary class="details__summary">Technical / weight details</summary>
+            <div class="details__body">
+              <table class="table" role="table" aria-label="Technical details">
+                <thead><tr><th>Particular</th><th>Value</th></tr></thead>
+                <tbody>
+                  ${[
+                    ['Garments Weight (grams)', `${formatPlain(toNum(product.weightGm), 2)} gm`],
+                    ['Garments Weight (LBS / Doz)', computed.lbsPerDoz == null ? '—' : formatPlain(computed.lbsPerDoz, 2)],
+                    ['Wastage %', `${formatPlain(toNum(inputs.wastagePct), 2)}%`],
+                    ['Garments Weight LBS (Including Wastage @ %)', computed.lbsWithWastage == null ? '—' : formatPlain(computed.lbsWithWastage, 2)],
+                    ...yarnLines.map((y, i) => [
+                      `${yarnLineTitle(y, i, yarnLines.length)} — price / ${yarnPriceUnitLabel(y)} • wastage • LBS incl.`,
+                      `${yarnPriceText(y)} • ${formatPlain(y.wastagePct, 2)}% • ${y.lbsWithWastage == null ? '—' : formatPlain(y.lbsWithWastage, 2)}`,
+                    ]),
+                    ...(inputs.yarns || []).filter(y => y.yarnId).map(y => [
+                      `Yarn library — ${y.desc}`,
+                      `${y.supplier || 'No supplier'} • ${y.priceDate ? `price of ${y.priceDate}` : 'price typed by hand'}`,
+                    ]),
+                    ...(computed.packing ? [['Carton', cartonText(computed.packing)]] : []),
+                    ['Timing (min)', `${Math.trunc(toNum(inputs.timingMin))}`],
+                    ['CM basis', cmModeLabel(inputs.cmMode === 'smv' ? inputs.smv : null)],
+                    ...fxRatesText(inputs.fx).map(t => ['Exchange rate used', t]),
+                    ...(inputs.cmMode === 'smv' ? [
+                      ['SMV knitting / linking / other (min)', `${formatPlain(inputs.smv.knitMin, 2)} / ${formatPlain(inputs.smv.linkMin, 2)} / ${formatPlain(inputs.smv.otherMin, 2)}`],
+                      ['CM per piece (SMV)', formatMoney(inputs.smv.cmPc, currency)],
+                    ] : []),
+                  ].map(([k, v]) => `
+                    <tr>
+                      <td>${escapeHtml(String(k))}</td>
+                      <td>${escapeHtml(String(v))}</td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+            </div>
+          </details>
+
+          ${product.calcVersion !== CALC_VERSION ? `
+          <details class="details">
+            <summary class="details__summary">Under the current version (${escapeHtml(CALC_VERSION)})</summary>
+            <div class="details__body">
+              ${versionDiffHtml(product, check.current, currency)}
+              <div class="help">Same saved inputs, current formulas. The record itself is not changed; use Duplicate &amp; Recalculate to save a new version.</div>
+            </div>
+          </details>
+          ` : ''}
+
+          ${accessories.length ? `
+          <details class="details">
+            <summary class="details__summary">Accessories BOM</summary>
+            <div class="details__body">
+              ${accessoryTableHtml(accessories, moneyLineOf(product, 'accessoriesCostDoz').currency || currency, 'table', moneyLineOf(product, 'accessoriesCostDoz').unit)}
+            </div>
+          </details>
+          ` : ''}
+
+          ${(inputs.sizeMode && sizeLines.length) ? `
+          <details class="details" ${inputs.sizeWisePricing ? 'open' : ''}>
+            <summary class="details__summary">${inputs.sizeWisePricing ? 'Size-wise FOB' : 'Size run (weighted weight)'}</summary>
+            <div class="details__body">
+              ${sizeTableHtml(sizeLines, currency, !!inputs.sizeWisePricing, 'table')}
+            </div>
+          </details>
+          ` : ''}
+        </div>
+      </div>
+    `;
+
+    detailCard.appendChild(renderApproval(product));
+    detailCard.appendChild(renderWhatIf(product));
+    const revisions = renderRevisions(product);
+    if (revisions) detailCard.appendChild(revisions);
+
+    if (imgUrl) setTimeout(() => URL.revokeObjectURL(imgUrl), 60_000);
+
+    showView(viewDetail);
+
+    // Wire actions
+    btnDuplicate.onclick = () => duplicateProduct(product);
+    btnDeleteProduct.onclick = () => deleteCurrentProduct(product);
+    btnDeleteProduct.disabled = (statusOf(product) === 'approved');
+    btnDownloadPdf.onclick = () => downloadProductAsPdf(product);
+    btnDownloadPng.onclick = () => downloadShareImage(product, 'png');
+    btnDownloadJpg.onclick = () => downloadShareImage(product, 'jpg');
+  }
+
+  // ===========
+  // Approval workflow (detail view)
+  // ===========
+  function statusOf(product) {
+    return APPROVAL_STATUSES[product.status] ? product.status : 'draft';
+  }
+
+  function statusBadgeHtml(product) {
+    const st = APPROVAL_STATUSES[statusOf(product)];
+    return `<span class="badge ${st.badge}">${escapeHtml(st.label)}</span>`;
+  }
+
+  function approvalText(product) {
+    const last = (product.statusLog || []).filter(e => e.to === 'approved').pop();
+    if (!last) return 'Approved';
+    return `Approved by ${last.by} on ${formatDate(last.at)}${last.comment ? ` — ${last.comment}` : ''}`;
+  }
+
+  function renderApproval(product) {
+    const card = document.createElement('div');
+    card.className = 'detail-card';
+
+    const status = statusOf(product);
+    const transitions = APPROVAL_TRANSITIONS[status];
+    const log = Array.isArray(product.statusLog) ? product.statusLog : [];
+
+    card.innerHTML = `
+      <div class="detail-card__body">
+        <div class="detail-title" style="display:flex;align-items:center;justify-content:space-between;gap:10px;">
+          <span>Approval</span>
+          ${statusBadgeHtml(product)}
+        </div>
+
+        ${log.map(e => `
+          <div class="note">
+            <strong>${escapeHtml(APPROVAL_STATUSES[e.to]?.label || e.to)}</strong> by ${escapeHtml(e.by)}
+            <span class="muted">${escapeHtml(formatDate(e.at))}</span>
+            ${e.comment ? `<br />${escapeHtml(e.comment)}` : ''}
+          </div>
+        `).join('')}
+
+        ${transitions.length ? `
+        <div class="form__grid settings__form">
+          <div class="field">
+            <label class="label">Your name</label>
+            <input id="apName" class="input" type="text" placeholder="e.g., Merchandising manager" />
+          </div>
+          <div class="field">
+            <label class="label">Comment</label>
+            <input id="apComment" class="input" type="text" placeholder="Optional (required to reject)" />
+          </div>
+        </div>
+        <div class="previewCTA">
+          ${transitions.map(t => `<button class="btn ${t.to === 'rejected' ? 'btn--danger' : t.to === 'approved' ? 'btn--primary' : 'btn--ghost'}" type="button" data-status="${t.to}">${escapeHtml(t.label)}</button>`).join('')}
+        </div>
+        <div id="apError" class="alert hidden" role="alert"></div>
+        ` : '<div class="muted">Approved records are locked: they cannot be changed or deleted. Use “Duplicate &amp; Recalculate” for a new revision.</div>'}
+      </div>
+    `;
+
+    if (!transitions.length) return card;
+
+    const nameEl = $('#apName', card);
+    const errorEl = $('#apError', card);
+    window.GCDB.getSetting('reviewerName').then((name) => { if (name && !nameEl.value) nameEl.value = name; }).catch(() => {});
+
+    card.querySelectorAll('[data-status]').forEach((b) => {
+      b.addEventListener('click', async () => {
+        const to = b.getAttribute('data-status');
+        const by = String(nameEl.value || '').trim();
+        const comment = String($('#apComment', card).value || '').trim();
+        if (!by) { errorEl.textContent = 'Enter your name to sign off this change.'; show(errorEl); return; }
+        if (to === 'rejected' && !comment) { errorEl.textContent = 'Add a comment explaining the rejection.'; show(errorEl); return; }
+        if (to === 'approved' && !confirm(`Approve "${product.styleName}"? Approved costings are locked.`)) return;
+
+        const updated = {
+          ...product,
+          status: to,
+          statusLog: [...log, { from: status, to, by, at: new Date().toISOString(), comment }],
+          updatedAt: new Date().toISOString(),
+        };
+        try {
+          await window.GCDB.putProduct(updated);
+          await window.GCDB.putSetting('reviewerName', by);
+        } catch (e) {
+          console.error(e);
+          errorEl.textContent = 'Could not update the status. Please try again.';
+          show(errorEl);
+          return;
+        }
+        await loadAndRenderList();
+        openDetail(updated);
+      });
+    });
+
+    return card;
+  }
+
+  // ===========
+  // What-if panel (detail view)
+  // ===========
+  // Each control shifts the saved inputs: % changes for prices and weight,
+  // percentage points for wastage and % markup layers
+  const WHAT_IF_CONTROLS = [
+    { key: 'yarnPct', label: 'Yarn price', unit: '%', min: -20, max: 20, step: 1 },
+    { key: 'weightPct', label: 'Garment weight', unit: '%', min: -20, max: 20, step: 1 },
+    { key: 'wastagePts', label: 'Wastage', unit: 'pts', min: -5, max: 10, step: 0.5 },
+    { key: 'cmPct', label: 'CM', unit: '%', min: -20, max: 20, step: 1 },
+    { key: 'markupPts', label: '% markup layers', unit: 'pts', min: -5, max: 5, step: 0.5 },
+  ];
+  const SENSITIVITY_STEPS = [-10, -5, 0, 5, 10];
+
+  function applyScenario(state, sc) {
+    const scale = (v, pct) => (v === '' || v === null || v === undefined) ? v : String(toNum(v) * (1 + pct / 100));
+    // Shifted percentages stay within 0–100, as validateStep requires
+    const clampPct = (n) => Math.min(100, Math.max(0, n));
+    const shift = (v, pts) => (v === '' || v === null || v === undefined) ? v : String(clampPct(toNum(v) + pts));
+
+    state.yarns = state.yarns.map(y => ({
+      ...y,
+      price: scale(y.price, toNum(sc.yarnPct)),
+      wastagePct: shift(y.wastagePct, toNum(sc.wastagePts)),
+      // Gram shares follow the weight so the blend still adds up
+      share: (state.yarnShareUnit === 'gm' && !state.sizeMode) ? scale(y.share, toNum(sc.weightPct)) : y.share,
+    }));
+    state.weightGm = scale(state.weightGm, toNum(sc.weightPct));
+    state.sizes = state.sizes.map(z => ({ ...z, weightGm: scale(z.weightGm, toNum(sc.weightPct)) }));
+    state.wastagePct = shift(state.wastagePct, toNum(sc.wastagePts));
+    if (state.cmMode === 'smv') state.smv = { ...state.smv, costPerMin: scale(state.smv.costPerMin, toNum(sc.cmPct)) };
+    else state.cmDoz = scale(state.cmDoz, toNum(sc.cmPct));
+    state.markups = state.markups.map(m => (m.kind === 'pct' ? { ...m, value: clampPct(toNum(m.value) + toNum(sc.markupPts)) } : m));
+    return state;
+  }
+
+  // Record inputs under a scenario, priced with the record's own rate snapshot
+  function scenarioState(product, sc) {
+    const state = applyScenario(productToState(product), sc);
+    state.fx = product.inputs?.fx || null;
+    return state;
+  }
+
+  function scenarioText(sc) {
+    const parts = WHAT_IF_CONTROLS.filter(c => toNum(sc[c.key]) !== 0)
+      .map(c => `${c.label} ${toNum(sc[c.key]) > 0 ? '+' : ''}${formatPlain(toNum(sc[c.key]), c.unit === 'pts' ? 1 : 0)}${c.unit === '%' ? '%' : ' pts'}`);
+    return parts.length ? parts.join(', ') : 'no change';
+  }
+
+  function sensitivityTableHtml(product, currency) {
+    const rows = [['yarnPct', 'Yarn price'], ['weightPct', 'Garment weight'], ['cmPct', 'CM']].map(([key, label]) => `
+      <tr>
+        <td>${escapeHtml(label)}</td>
+        ${SENSITIVITY_STEPS.map((pct) => {
+          const c = computeAll(scenarioState(product, { [key]: pct }));
+          const text = escapeHtml(formatMoney(c.finalPerPc, currency));
+          return `<td>${pct === 0 ? `<strong>${text}</strong>` : text}</td>`;
+        }).join('')}
+      </tr>
+    `).join('');
+
+    return `
+      <table class="table" role="table" aria-label="Sensitivity">
+        <thead><tr><th>Final price / pc at</th>${SENSITIVITY_STEPS.map(pct => `<th>${pct > 0 ? '+' : ''}${pct}%</th>`).join('')}</tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  function renderWhatIf(product) {
+    const card = document.createElement('div');
+    card.className = 'detail-card';
+
+    const currency = product.currency || DEFAULT_CURRENCY;
+    const sc = Object.fromEntries(WHAT_IF_CONTROLS.map(c => [c.key, 0]));
+
+    card.innerHTML = `
+      <div class="detail-card__body">
+        <details class="details">
+          <summary class="details__summary">What-if</summary>
+          <div class="details__body">
+            <div class="whatIf">
+              ${WHAT_IF_CONTROLS.map(c => `
+                <label class="whatIf__row">
+                  <span>${escapeHtml(c.label)}</span>
+                  <input type="range" data-whatif="${c.key}" min="${c.min}" max="${c.max}" step="${c.step}" value="0" />
+                  <span class="whatIf__value" data-whatif-value="${c.key}">0 ${escapeHtml(c.unit)}</span>
+                </label>
+              `).join('')}
+            </div>
+            <div class="stepHint" id="whatIfResult"></div>
+            <div class="previewCTA">
+              <button class="btn btn--ghost" type="button" id="btnWhatIfReset">Reset</button>
+              <button class="btn btn--primary" type="button" id="btnWhatIfSave">Save scenario as new costing</button>
+            </div>
+
+            <div class="detail-title" style="margin-top:14px;">Sensitivity (saved inputs)</div>
+            ${sensitivityTableHtml(product, currency)}
+          </div>
+        </details>
+      </div>
+    `;
+
+    const result = $('#whatIfResult', card);
+    // Delta against the unchanged inputs under the same engine, so it shows
+    // only the scenario (not a calc version difference vs the saved snapshot)
+    const base = computeAll(scenarioState(product, {})).finalPerPc;
+    function renderResult() {
+      const c = computeAll(scenarioState(product, sc));
+      const delta = c.finalPerPc - base;
+      result.innerHTML = `
+        ${escapeHtml(scenarioText(sc))}<br />
+        Final price <strong>${escapeHtml(formatMoney(c.finalPerPc, currency))} / pc</strong>
+        (${delta >= 0 ? '+' : ''}${escapeHtml(formatMoney(delta, currency))} vs unchanged inputs)
+        ${c.incoterm !== 'FOB' ? ` • ${escapeHtml(c.incoterm)} ${escapeHtml(formatMoney(c.quotePerPc, currency))} / pc` : ''}
+      `;
+    }
+
+    card.querySelectorAll('[data-whatif]').forEach((el) => {
+      el.addEventListener('input', () => {
+        const key = el.getAttribute('data-whatif');
+        const control = WHAT_IF_CONTROLS.find(c => c.key === key);
+        sc[key] = Number(el.value);
+        $(`[data-whatif-value="${key}"]`, card).textContent = `${sc[key] > 0 ? '+' : ''}${el.value} ${control.unit}`;
+        renderResult();
+      });
+    });
+
+    $('#btnWhatIfReset', card).addEventListener('click', () => {
+      card.querySelectorAll('[data-whatif]').forEach((el) => {
+        el.value = '0';
+        el.dispatchEvent(new Event('input'));
+      });
+    });
+
+    $('#btnWhatIfSave', card).addEventListener('click', () => duplicateProduct(product, { ...sc }));
+
+    renderResult();
+    return card;
+  }
+
+  // ===========
+  // Revision lineage (duplicates link to their parent record)
+  // ===========
+  const REVISION_SKIP_KEYS = new Set(['fx', 'costDoz', 'accessoriesCostDoz', 'yarnId']);
+  const REVISION_LABELS = {
+    yarns: 'Yarn', sizes: 'Size', accessories: 'Accessory', processes: 'Process', markups: 'Markup',
+    smv: 'SMV', packing: 'Packing', fabric: 'Fabric calc', lineCurrencies: 'Currency', lineUnits: 'Entered per',
+    styleName: 'Style name', weightGm: 'weight (gm)', price: 'price', wastagePct: 'wastage %',
+    cmDoz: 'CM', fabricDoz: 'fabric', fabricCostDoz: 'fabric cost', fabricAttachCostDoz: 'fabric attachment CM',
+    timingMin: 'timing (min)', freightPc: 'freight / pc', insurancePct: 'insurance %', dutyPct: 'duty %',
+    destHandlingPc: 'destination handling / pc', priceDate: 'library price date', orderQty: 'order qty (pcs)', deliveryDate: 'delivery date',
+  };
+
+  // Every saved record in the same family, oldest first
+  function lineageOf(product) {
+    const byId = new Map(productsCache.map(p => [p.id, p]));
+    byId.set(product.id, product);
+
+    let root = product;
+    const seen = new Set([root.id]);
+    while (root.parentId && byId.has(root.parentId) && !seen.has(root.parentId)) {
+      root = byId.get(root.parentId);
+      seen.add(root.id);
+    }
+
+    const family = [root];
+    for (let i = 0; i < family.length; i++) {
+      productsCache.filter(p => p.parentId === family[i].id && !family.includes(p)).forEach(p => family.push(p));
+    }
+    return family.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  }
+
+  function humanizeKey(key) {
+    return key.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  }
+
+  // Record inputs as "Yarn 1 › price per lb" -> value
+  function flattenInputs(value, label = '', out = {}) {
+    if (Array.isArray(value)) {
+      value.forEach((v, i) => flattenInputs(v, `${label} ${i + 1}`, out));
+    } else if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([k, v]) => {
+        if (REVISION_SKIP_KEYS.has(k)) return;
+        const name = REVISION_LABELS[k] || humanizeKey(k);
+        flattenInputs(v, label ? `${label} › ${name}` : name.charAt(0).toUpperCase() + name.slice(1), out);
+      });
+    } else {
+      out[label] = value;
+    }
+    return out;
+  }
+
+  function revisionInputsOf(product) {
+    const { styleName, composition, buyer, season, brand, orderQty, deliveryDate, gauge, weightGm, currency, incoterm } = product;
+    return flattenInputs({ styleName, composition, buyer, season, brand, orderQty, deliveryDate, gauge, weightGm, currency, incoterm, ...(product.inputs || {}) });
+  }
+
+  // Inputs that differ between two records: [{ label, was, now }]
+  function inputDiffOf(before, after) {
+    const a = revisionInputsOf(before);
+    const b = revisionInputsOf(after);
+    const text = (v) => (v === null || v === undefined || v === '') ? '—' : String(v);
+    return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+      .filter(label => text(a[label]) !== text(b[label]))
+      .map(label => ({ label, was: text(a[label]), now: text(b[label]) }));
+  }
+
+  function renderRevisions(product) {
+    const family = lineageOf(product);
+    if (family.length < 2) return null;
+
+    const card = document.createElement('div');
+    card.className = 'detail-card';
+
+    const byId = new Map(family.map(p => [p.id, p]));
+    const items = family.map((p) => {
+      const currency = p.currency || DEFAULT_CURRENCY;
+      const parent = byId.get(p.parentId);
+      const superseded = family.some(x => x.parentId === p.id);
+      const fob = toNum(p.computed?.finalPerPc);
+      const delta = parent ? fob - toNum(parent.computed?.finalPerPc) : null;
+      const diff = parent ? inputDiffOf(parent, p) : [];
+      return `
+        <div class="revision ${p.id === product.id ? 'revision--current' : ''}">
+          <div class="revision__head">
+            <div>
+              <strong>Rev ${escapeHtml(String(p.revision || 1))}</strong>
+              <span class="muted">• ${escapeHtml(formatDate(p.createdAt))}</span>
+              ${superseded ? '<span class="badge badge--warn">Superseded</span>' : ''}
+              ${p.id === product.id ? '<span class="badge badge--ok">Viewing</span>' : ''}
+            </div>
+            <div>
+              Final FOB <strong>${escapeHtml(formatMoney(fob, currency))}</strong> / pc
+              ${delta !== null ? `<span class="muted">(${delta >= 0 ? '+' : ''}${escapeHtml(formatMoney(delta, currency))} vs Rev ${escapeHtml(String(parent.revision || 1))})</span>` : ''}
+              ${p.id === product.id ? '' : `<button class="btn btn--ghost" type="button" data-open-rev="${escapeHtml(p.id)}">Open</button>`}
+            </div>
+          </div>
+          ${parent ? `
+          <details class="details">
+            <summary class="details__summary">${diff.length} input change(s) vs Rev ${escapeHtml(String(parent.revision || 1))}</summary>
+            <div class="details__body">
+              ${diff.length ? `
+              <table class="table" role="table" aria-label="Input changes">
+                <thead><tr><th>Input</th><th>Rev ${escapeHtml(String(parent.revision || 1))}</th><th>Rev ${escapeHtml(String(p.revision || 1))}</th></tr></thead>
+                <tbody>${diff.map(d => `<tr><td>${escapeHtml(d.label)}</td><td>${escapeHtml(d.was)}</td><td>${escapeHtml(d.now)}</td></tr>`).join('')}</tbody>
+              </table>
+              ` : '<div class="muted">No input changes.</div>'}
+            </div>
+          </details>
+          ` : '<div class="muted">Original costing.</div>'}
+        </div>
+      `;
+    }).join('');
+
+    card.innerHTML = `
+      <div class="detail-card__body">
+        <div class="detail-title">Revision history</div>
+        ${items}
+      </div>
+    `;
+
+    card.querySelectorAll('[data-open-rev]').forEach((b) => {
+      b.addEventListener('click', () => openDetail(byId.get(b.getAttribute('data-open-rev'))));
+    });
+
+    return card;
+  }
+
+  function sizeTableHtml(sizeLines, currency, withPrices, tableClass) {
+    const totalRatio = sizeLines.reduce((sum, z) => sum + toNum(z.ratio), 0);
+    const head = ['Size', 'Weight (gm)', 'Ratio', 'LBS / Doz']
+      .concat(withPrices ? ['FOB / pc', 'Final / pc'] : []);
+    const body = sizeLines.map((z) => {
+      const cells = [
+        z.size,
+        formatPlain(z.weightGm, 2),
+        totalRatio > 0 ? `${formatPlain(z.ratio, 2)} (${formatPlain(toNum(z.ratio) / totalRatio * 100, 1)}%)` : formatPlain(z.ratio, 2),
+        z.lbsPerDoz == null ? '—' : formatPlain(z.lbsPerDoz, 2),
+      ].concat(withPrices ? [formatMoney(z.fobPerPc, currency), formatMoney(z.finalPerPc, currency)] : []);
+      return `<tr>${cells.map(c => `<td>${escapeHtml(String(c))}</td>`).join('')}</tr>`;
+    }).join('');
+
+    return `
+      <table class="${tableClass}" role="table" aria-label="Size run">
+        <thead><tr>${head.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+        <tbody>${body}</tbody>
+      </table>
+    `;
+  }
+
+  async function deleteCurrentProduct(product) {
+    if (statusOf(product) === 'approved') { alert('Approved costings are locked and cannot be deleted.'); return; }
+    const ok = confirm(`Move costing "${product.styleName}" to the trash? You can restore it from Trash.`);
+    if (!ok) return;
+    await window.GCDB.trashProduct(product.id);
+    currentDetail = null;
+    await loadAndRenderList();
+    showView(viewList);
+  }
+
+  async function duplicateProduct(product, scenario = null) {
+    // Use saved record as base, but keep wizard a new draft
+    const baseData = productToState(product);
+    baseData.parentId = product.id;
+    baseData.revision = (product.revision || 1) + 1;
+    if (scenario) {
+      applyScenario(baseData, scenario);
+      baseData.notes = [{ text: `What-if from "${product.styleName}": ${scenarioText(scenario)}`, createdAt: new Date().toISOString() }];
+    }
+
+    await openWizard({ baseData });
+  }
+
+  // Wizard state rebuilt from a saved record (duplicate, re-derive)
+  function productToState(product) {
+    const baseData = defaultWizardState();
+
+    baseData.styleName = product.styleName;
+    // factorySheet_v1 records have no yarn inputs, only the single yarn line
+    baseData.yarns = (product.inputs?.yarns || yarnLinesOf(product).map(y => ({ desc: y.desc, share: 100, price: y.pricePerLb, wastagePct: null })))
+      .map(y => ({ yarnId: y.yarnId || '', supplier: y.supplier || '', priceDate: y.priceDate || '', desc: y.desc, share: String(y.share), price: String(y.price), priceUnit: y.priceUnit || 'lb', currency: y.currency || '', wastagePct: y.wastagePct ?? '' }));
+    baseData.yarnShareUnit = product.inputs?.yarnShareUnit || 'pct';
+    baseData.composition = product.composition || '';
+    baseData.buyer = product.buyer || '';
+    baseData.season = product.season || '';
+    baseData.brand = product.brand || '';
+    baseData.orderQty = product.orderQty == null ? '' : String(product.orderQty);
+    baseData.deliveryDate = product.deliveryDate || '';
+    baseData.gauge = product.gauge;
+    baseData.weightGm = String(product.weightGm);
+    if (product.inputs?.sizeMode) {
+      baseData.sizeMode = true;
+      baseData.sizes = product.inputs.sizes.map(z => ({ size: z.size, weightGm: String(z.weightGm), ratio: String(z.ratio) }));
+      baseData.sizeWisePricing = !!product.inputs.sizeWisePricing;
+    }
+    baseData.currency = currencyCodeOf(product.currency);
+    baseData.lineCurrencies = { ...(product.inputs?.lineCurrencies || {}) };
+    baseData.lineUnits = { ...(product.inputs?.lineUnits || {}) };
+    baseData.photo = product.photo ? { blob: product.photo.blob, width: product.photo.width, height: product.photo.height, type: product.photo.type } : null;
+
+    baseData.wastagePct = product.inputs?.wastagePct ?? 0;
+    baseData.accessories = accessoryLinesOf(product).map(({ item, consumptionDoz, unit, unitPrice, supplier }) => ({
+      item, consumptionDoz: String(consumptionDoz), unit, unitPrice: String(unitPrice), supplier,
+    }));
+    baseData.fabricDoz = product.inputs?.fabricDoz ?? 0;
+    baseData.fabricCostDoz = product.inputs?.fabricCostDoz ?? 0;
+    if (product.inputs?.fabricMode === 'consumption' && product.inputs.fabric) {
+      baseData.fabricMode = 'consumption';
+      baseData.fabric = Object.fromEntries(Object.entries(product.inputs.fabric).map(([key, v]) => [key, String(v)]));
+    }
+    baseData.fabricAttachCostDoz = product.inputs?.fabricAttachCostDoz ?? 0;
+    baseData.timingMin = product.inputs?.timingMin ?? 0;
+    baseData.cmDoz = product.inputs?.cmDoz ?? cmDozOf(product);
+    if (product.inputs?.cmMode === 'smv' && product.inputs.smv) {
+      const { knitMin, linkMin, otherMin, costPerMin, efficiencyPct } = product.inputs.smv;
+      baseData.cmMode = 'smv';
+      baseData.smv = { knitMin: String(knitMin), linkMin: String(linkMin), otherMin: String(otherMin), costPerMin: String(costPerMin), efficiencyPct: String(efficiencyPct) };
+    }
+    baseData.markups = markupLinesOf(product).map(({ label, kind, value }) => ({ label, kind, value }));
+    baseData.processes = (product.inputs?.processes || []).map(({ label, basis, value }) => ({ label, basis, value: String(value) }));
+    if (product.inputs?.packing) {
+      baseData.packing = Object.fromEntries(PACKING_FIELDS.map(([key]) => [key, product.inputs.packing[key] ? String(product.inputs.packing[key]) : '']));
+    }
+    baseData.incoterm = product.incoterm || 'FOB';
+    ['freightPc', 'insurancePct', 'dutyPct', 'destHandlingPc'].forEach((key) => {
+      baseData[key] = product.inputs?.[key] ? String(product.inputs[key]) : '';
+    });
+
+    return baseData;
+  }
+
+  // ===========
+  // PDF export (no popup) — prints #printRoot
+  // ===========
+  function buildPrintableFragment(product, imgDataUrl) {
+    const currency = product.currency || DEFAULT_CURRENCY;
+    const safe = (s) => escapeHtml(s ?? '');
+
+    const yarnLines = yarnLinesOf(product);
+    const headline = headlineOf(product);
+    const rows = [
+      ...yarnLines.map((y, i) => [`${yarnLineTitle(y, i, yarnLines.length)} — price / ${yarnPriceUnitLabel(y)}`, `${yarnPriceText(y)} (${formatPlain(y.wastagePct, 2)}% wastage)`]),
+      [product.inputs?.sizeMode ? 'Garments Weight (grams, weighted avg)' : 'Garments Weight (grams)', `${formatPlain(toNum(product.weightGm), 2)} gm`],
+      ['Garments Weight (LBS / Doz)', product.computed?.lbsPerDoz == null ? '—' : formatPlain(product.computed.lbsPerDoz, 2)],
+      ['Wastage %', `${formatPlain(toNum(product.inputs?.wastagePct), 2)}%`],
+      ['Garments Weight LBS (Including Wastage @ %)', product.computed?.lbsWithWastage == null ? '—' : formatPlain(product.computed.lbsWithWastage, 2)],
+      ...(yarnLines.length > 1 ? yarnLines.map((y, i) => [`${yarnLineTitle(y, i, yarnLines.length)} (per dozen)`, formatMoney(y.costDoz, currency)]) : []),
+      ['Yarn Cost (per dozen)', product.computed?.yarnCostDoz == null ? '—' : formatMoney(product.computed.yarnCostDoz, currency)],
+      ['Accessories Cost (per dozen)', moneyLineText(moneyLineOf(product, 'accessoriesCostDoz'), currency)],
+      ['Fabric (per dozen)', moneyLineText(moneyLineOf(product, 'fabricDoz'), currency)],
+      ['Fabric Cost (per dozen)', moneyLineText(moneyLineOf(product, 'fabricCostDoz'), currency)],
+      ...(product.computed?.fabric ? [['Fabric consumption', fabricBasisText(product.computed.fabric)]] : []),
+      ['Fabric Attachment CM (per dozen)', moneyLineText(moneyLineOf(product, 'fabricAttachCostDoz'), currency)],
+      ...processLinesOf(product).map(p => [`${processTitle(p, p.currency)} (per dozen)`, moneyLineText(p, currency)]),
+      ...(product.computed?.packing ? [['Carton', cartonText(product.computed.packing)]] : []),
+      ...packingRowsOf(product, currency, ' (per dozen)'),
+      ['Timing (min)', `${Math.trunc(toNum(product.inputs?.timingMin))}`],
+      ...(product.inputs?.cmMode === 'smv' ? [['CM basis', cmModeLabel(product.inputs.smv)]] : []),
+      ['CM (per dozen)', moneyLineText(moneyLineOf(product, 'cmDoz'), currency)],
+      ['Costing price / FOB (per pc)', formatMoney(toNum(product.computed?.fobPerPc), currency)],
+      ...markupLinesOf(product).map(l => [markupTitle(l, currency), `+${formatMoney(l.amountPc, currency)}`]),
+      ['Final FOB cost per piece', formatMoney(toNum(product.computed?.finalPerPc), currency)],
+      ...headline.lines.map(l => [l.label, `+${formatMoney(l.amountPc, currency)}`]),
+      ...(headline.incoterm !== 'FOB' ? [[headline.label, formatMoney(headline.pricePc, currency)]] : []),
+      ...fxRatesText(product.inputs?.fx).map(t => ['Exchange rate used', t]),
+    ];
+
+    const created = formatDate(product.createdAt);
+    const generated = formatDate(new Date().toISOString());
+    const gaugeWeight = `${safe(product.gauge)}gg / ${Math.round(toNum(product.weightGm))} gm`;
+
+    const tableRows = rows.map(([label, val]) => `
+      <tr>
+        <td>${safe(label)}</td>
+        <td style="text-align:right;">${safe(val)}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <div class="print-page">
+        <div class="print-header">
+          <div class="print-brand">
+            <div class="print-logo">GC</div>
+            <div>
+              <h1 class="print-title">${safe(product.styleName)}</h1>
+              <div class="print-meta">
+                <div>Created: ${safe(created)}</div>
+                <div>Calc version: ${safe(product.calcVersion || '')} • App: ${safe(product.appVersion || '')}</div>
+              </div>
+            </div>
+          </div>
+          <div class="print-fob">
+            <div class="label">${safe(headline.label)}</div>
+            <div class="value">${formatMoney(headline.pricePc, currency)} / pc</div>
+          </div>
+        </div>
+
+        ${statusOf(product) === 'approved' ? `
+        <div class="print-status print-status--ok">${safe(approvalText(product))}</div>
+        ` : `
+        <div class="print-status">${safe(NOT_APPROVED_STAMP)} <span>(${safe(APPROVAL_STATUSES[statusOf(product)].label)})</span></div>
+        `}
+
+        <div class="print-grid">
+          <div class="print-card">
+            <div class="print-media"><img src="${imgDataUrl}" alt="Product photo"></div>
+            <div class="print-body">
+              <div class="print-kv">
+                <span class="print-pill">Composition: <strong>${safe(product.composition || '—')}</strong></span>
+                <span class="print-pill">Yarn: <strong>${safe(product.yarnDesc || '—')}</strong></span>
+                <span class="print-pill">Gauge/Weight: <strong>${safe(gaugeWeight)}</strong></span>
+                ${orderPillsOf(product).map(([label, value]) => `<span class="print-pill">${safe(label)}: <strong>${safe(value)}</strong></span>`).join('')}
+              </div>
+            </div>
+          </div>
+
+          <div class="print-card">
+            <div class="print-body">
+              <div style="font-weight:800; margin-bottom:10px;">Cost breakdown</div>
+              <table class="print-table">
+                <thead><tr><th>Particular</th><th style="text-align:right;">Value</th></tr></thead>
+                <tbody>${tableRows}</tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+
+        ${product.inputs?.accessories?.length ? `
+        <div class="print-card print-section">
+          <div class="print-body">
+            <div style="font-weight:800; margin-bottom:10px;">Accessories BOM</div>
+            ${accessoryTableHtml(product.inputs.accessories, moneyLineOf(product, 'accessoriesCostDoz').currency || currency, 'print-table', moneyLineOf(product, 'accessoriesCostDoz').unit)}
+          </div>
+        </div>
+        ` : ''}
+
+        ${(product.inputs?.sizeWisePricing && product.computed?.sizeLines?.length) ? `
+        <div class="print-card print-section">
+          <div class="print-body">
+            <div style="font-weight:800; margin-bottom:10px;">Size-wise FOB</div>
+            ${sizeTableHtml(product.computed.sizeLines, currency, true, 'print-table')}
+          </div>
+        </div>
+        ` : ''}
+
+        <div class="print-footer">
+          <div><strong>Disclaimer:</strong> Final costing should be reviewed before buyer submission.</div>
+          <div class="print-audit">
+            <div>Record ID: ${safe(product.id)}</div>
+            <div>Generated: ${safe(generated)}</div>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  async function downloadProductAsPdf(product) {
+    try {
+      // Use in-document print (no window.open) to avoid popup blockers.
+      // Photo is embedded as a data URL so it loads fast on mobile.
+      const imgDataUrl = product.photo?.blob ? await blobToDataUrl(product.photo.blob) : '';
+      printRoot.innerHTML = buildPrintableFragment(product, imgDataUrl);
+
+      // Trigger print immediately while we are still inside the click gesture.
+      // (Some mobile browsers block delayed print() calls.)
+      window.print();
+
+      // Cleanup after printing
+      window.addEventListener('afterprint', () => { printRoot.innerHTML = ''; }, { once: true });
+    } catch (e) {
+      console.error(e);
+      alert('Could not generate the PDF. Please try again.');
+    }
+  }
+    
+
+  // ===========
+  // Share image export (PNG/JPG) — deterministic canvas renderer
+  // ===========
+  async function downloadShareImage(product, format) {
+    try {
+      const blob = await renderShareCard(product, format);
+      const ext = (format === 'jpg') ? 'jpg' : 'png';
+      const filename = `${sanitizeFilename(product.styleName)}-FOB.${ext}`;
+      downloadBlob(blob, filename);
+    } catch (e) {
+      console.error(e);
+      alert('Could not generate the image. Please try again.');
+    }
+  }
+
+  function sanitizeFilename(name) {
+    return String(name || 'costing')
+      .replace(/[^\w\-]+/g, '_')
+      .slice(0, 60);
+  }
+
+  // Price build-up lines printed on the share card, in calculation order
+  function shareCardLines(product) {
+    const currency = product.currency || DEFAULT_CURRENCY;
+    const yarnLines = yarnLinesOf(product);
+    const headline = headlineOf(product);
+    return [
+      ...yarnLines.map((y, i) => [`${yarnLineTitle(y, i, yarnLines.length)} /doz`, formatMoney(toNum(y.costDoz), currency)]),
+      ...processLinesOf(product).map(p => [`${p.label || 'Process'} /doz`, formatMoney(toNum(p.value), currency)]),
+      ...packingRowsOf(product, currency, ' /doz'),
+      ['Costing price / FOB', formatMoney(toNum(product.computed?.fobPerPc), currency)],
+      ...markupLinesOf(product).map(l => [markupTitle(l, currency), `+${formatMoney(l.amountPc, currency)}`]),
+      ...(headline.incoterm !== 'FOB' ? [['Final FOB price', formatMoney(toNum(product.computed?.finalPerPc), currency)]] : []),
+      ...headline.lines.map(l => [l.label, `+${formatMoney(l.amountPc, currency)}`]),
+    ];
+  }
+
+  async function renderShareCard(product, format) {
+    const currency = product.currency || DEFAULT_CURRENCY;
+    const headline = headlineOf(product);
+    const lines = shareCardLines(product);
+    const LINE_H = 40;
+
+    // 1080px share card (good for WhatsApp/email); grows with the build-up lines
+    const W = 1080;
+    const H = 1350 + lines.length * LINE_H + 20;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = W;
+    canvas.height = H;
+    const ctx = canvas.getContext('2d');
+
+    // Background (dark gradient)
+    const grad = ctx.createLinearGradient(0, 0, 0, H);
+    grad.addColorStop(0, '#0b1220');
+    grad.addColorStop(1, '#0a1a26');
+    ctx.fillStyle = grad;
+    ctx.fillRect(0, 0, W, H);
+
+    // Card
+    const pad = 54;
+    const cardX = pad, cardY = pad, cardW = W - pad * 2, cardH = H - pad * 2;
+
+    roundRect(ctx, cardX, cardY, cardW, cardH, 42);
+    ctx.fillStyle = 'rgba(255,255,255,0.08)';
+    ctx.fill();
+
+    // Inner header
+    ctx.fillStyle = 'rgba(255,255,255,0.92)';
+    ctx.font = '700 44px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial';
+    ctx.fillText('Garment Costing', cardX + 40, cardY + 78);
+
+    ctx.fillStyle = 'rgba(255,255,255,0.70)';
+    ctx.font = '500 24px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial';
+    ctx.fillText(`Calc: ${product.calcVersion} • ${formatDate(product.createdAt)}`, cardX + 40, cardY + 116);
+
+    // Approval stamp
+    const approved = statusOf(product) === 'approved';
+    ctx.textAlign = 'right';
+    ctx.fillStyle = approved ? 'rgba(52,211,153,0.95)' : 'rgba(251,113,133,0.95)';
+    ctx.font = '800 28px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial';
+    ctx.fillText(approved ? 'APPROVED' : NOT_APPROVED_STAMP, cardX + cardW - 40, cardY + 78);
+    ctx.textAlign = 'left';
+
+    // Photo area
+    const photoX = cardX + 40;
+    const photoY = cardY + 150;
+    const photoW = cardW - 80;
+    const photoH = 560;
+
+    roundRect(ctx, photoX, photoY, photoW, photoH, 32);
+    ctx.fillStyle = 'rgba(255,255,255,0.06)';
+    ctx.fill();
+
+    if (product.photo?.blob) {
+      const imgUrl = await blobToDataUrl(product.photo.blob);
+      const img = await loadImage(imgUrl);
+      // cover fit
+      drawCover(ctx, img, photoX, photoY, photoW, photoH, 32);
+    }
+
+    // Style name
+    const textX = cardX + 40;
+    let y = photoY + photoH + 70;
+
+    ctx.fillStyle = 'rgba(255,255,255,0.92)';
+    ctx.font = '800 54px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial';
+    y = drawWrappedText(ctx, product.styleName, textX, y, photoW, 60, 2);
+
+    // Chips line
+    ctx.fillStyle = 'rgba(255,255,255,0.78)';
+    ctx.font = '600 28px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial';
+    const chipLine = `${product.composition ? product.composition : '—'}   •   ${product.gauge}gg / ${Math.round(toNum(product.weightGm))} gm`;
+    y += 20;
+    ctx.fillText(chipLine, textX, y);
+
+    // Price build-up (FOB -> markup layers)
+    y += 30;
+    ctx.font = '500 26px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial';
+    lines.forEach(([label, value]) => {
+      y += LINE_H;
+      ctx.fillStyle = 'rgba(255,255,255,0.70)';
+      ctx.textAlign = 'left';
+      ctx.fillText(fitText(ctx, label, photoW * 0.68), textX + 4, y);
+      ctx.fillStyle = 'rgba(255,255,255,0.90)';
+      ctx.textAlign = 'right';
+      ctx.fillText(value, textX + photoW - 4, y);
+    });
+    ctx.textAlign = 'left';
+
+    // FOB highlight
+    y += 60;
+    roundRect(ctx, textX, y, photoW, 150, 28);
+    ctx.fillStyle = 'rgba(125,211,252,0.12)';
+    ctx.fill();
+
+    ctx.fillStyle = 'rgba(255,255,255,0.86)';
+    ctx.font = '700 28px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial';
+    ctx.fillText(headline.label, textX + 28, y + 58);
+
+    ctx.fillStyle = 'rgba(255,255,255,0.96)';
+    ctx.font = '900 64px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial';
+    ctx.fillText(`${formatMoney(headline.pricePc, currency)} / pc`, textX + 28, y + 118);
+
+    // Disclaimer
+    y += 220;
+    ctx.fillStyle = 'rgba(255,255,255,0.60)';
+    ctx.font = '500 22px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial';
+    ctx.fillText('Disclaimer: Final costing should be reviewed before buyer submission.', textX + 4, y);
+
+    // toBlob
+    const mime = (format === 'jpg') ? 'image/jpeg' : 'image/png';
+    const quality = (format === 'jpg') ? 0.92 : undefined;
+
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, mime, quality));
+    return blob;
+  }
+
+  function roundRect(ctx, x, y, w, h, r) {
+    ctx.beginPath();
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + w, y, x + w, y + h, r);
+    ctx.arcTo(x + w, y + h, x, y + h, r);
+    ctx.arcTo(x, y + h, x, y, r);
+    ctx.arcTo(x, y, x + w, y, r);
+    ctx.closePath();
+  }
+
+  async function loadImage(src) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = reject;
+      img.src = src;
+    });
+  }
+
+  function drawCover(ctx, img, x, y, w, h, r) {
+    // Clip rounded rect
+    ctx.save();
+    roundRect(ctx, x, y, w, h, r);
+    ctx.clip();
+
+    const iw = img.width, ih = img.height;
+    const scale = Math.max(w / iw, h / ih);
+    const sw = iw * scale;
+    const sh = ih * scale;
+    const sx = x + (w - sw) / 2;
+    const sy = y + (h - sh) / 2;
+    ctx.drawImage(img, sx, sy, sw, sh);
+
+    ctx.restore();
+  }
+
+  function fitText(ctx, text, maxWidth) {
+    let out = String(text || '');
+    if (ctx.measureText(out).width <= maxWidth) return out;
+    while (out.length > 1 && ctx.measureText(out + '…').width > maxWidth) out = out.slice(0, -1);
+    return out + '…';
+  }
+
+  function drawWrappedText(ctx, text, x, y, maxWidth, lineHeight, maxLines) {
+    const words = String(text || '').split(/\s+/);
+    let line = '';
+    let lines = 0;
+
+    for (let i = 0; i < words.length; i++) {
+      const test = line ? (line + ' ' + words[i]) : words[i];
+      const w = ctx.measureText(test).width;
+      if (w > maxWidth && line) {
+        ctx.fillText(line, x, y);
+        y += lineHeight;
+        lines += 1;
+        line = words[i];
+        if (lines >= maxLines - 1) break;
+      } else {
+        line = test;
+      }
+    }
+
+    if (line) {
+      let out = line;
+      // ellipsis if overflow
+      while (ctx.measureText(out).width > maxWidth && out.length > 0) {
+        out = out.slice(0, -1);
+      }
+      if (out !== line) out = out.slice(0, -1) + '…';
+      ctx.fillText(out, x, y);
+      y += lineHeight;
+    }
+
+    return y;
+  }
+
+  // ===========
+  // Yarn library
+  // ===========
+  async function openYarns() {
+    await renderYarns();
+    showView(viewYarns);
+  }
+
+  async function renderYarns() {
+    await loadYarns();
+    if (!yarnsCache.some(y => y.id === currentYarnId)) currentYarnId = null;
+    yarnsBody.innerHTML = '';
+    yarnsBody.appendChild(renderYarnsSection());
+    const yarn = yarnsCache.find(y => y.id === currentYarnId);
+    if (yarn) yarnsBody.appendChild(await renderYarnSection(yarn));
+  }
+
+  function yarnPriceLabel(p) {
+    return `${formatPlain(p.price, 4)} ${p.currency || DEFAULT_CURRENCY} / ${YARN_PRICE_UNITS.find(u => u.value === p.unit)?.label || 'LBS'}`;
+  }
+
+  function renderYarnsSection() {
+    const section = document.createElement('div');
+    section.className = 'detail-card settings__section';
+
+    const rows = yarnsCache.map(y => {
+      const price = currentYarnPriceOf(y);
+      return `
+      <tr>
+        <td><strong>${escapeHtml(yarnLabelOf(y))}</strong></td>
+        <td>${escapeHtml(y.supplier || '—')}</td>
+        <td>${escapeHtml(price ? `${yarnPriceLabel(price)} (${price.date})` : '—')}</td>
+        <td>
+          <button class="iconBtn" type="button" data-open="${escapeHtml(y.id)}" title="Prices and costings">☰</button>
+          <button class="iconBtn" type="button" data-edit="${escapeHtml(y.id)}" title="Edit yarn">✎</button>
+          <button class="iconBtn iconBtn--danger" type="button" data-del="${escapeHtml(y.id)}" title="Delete yarn">✕</button>
+        </td>
+      </tr>
+    `;
+    }).join('');
+
+    section.innerHTML = `
+      <div class="detail-card__body">
+        <div class="detail-title">Yarns</div>
+        <div class="muted" style="margin-bottom:10px;">
+          Picking a yarn in the wizard fills its description and current price (the latest dated price up to today). Costings keep the yarn and price date they used.
+        </div>
+
+        <table class="table" role="table" aria-label="Yarns">
+          <thead><tr><th>Yarn</th><th>Supplier</th><th>Current price</th><th></th></tr></thead>
+          <tbody>${rows || '<tr><td colspan="4" class="muted">No yarns yet.</td></tr>'}</tbody>
+        </table>
+
+        <div class="form__grid settings__form">
+          <div class="field">
+            <label class="label">Count</label>
+            <input id="yCount" class="input" type="text" placeholder="e.g., 2/30Nm" />
+          </div>
+          <div class="field">
+            <label class="label">Composition</label>
+            <input id="yComposition" class="input" type="text" placeholder="e.g., 70% viscose / 30% polyamide" />
+          </div>
+          <div class="field">
+            <label class="label">Supplier</label>
+            <input id="ySupplier" class="input" type="text" placeholder="optional" />
+          </div>
+          <div class="field settings__formAction">
+            <button id="yYarnSave" class="btn btn--primary" type="button">Save yarn</button>
+          </div>
+        </div>
+        <div id="yYarnError" class="alert hidden" role="alert"></div>
+      </div>
+    `;
+
+    let editingId = null;
+    const errorEl = $('#yYarnError', section);
+    $('#yYarnSave', section).addEventListener('click', async () => {
+      const count = String($('#yCount', section).value || '').trim();
+      const composition = String($('#yComposition', section).value || '').trim();
+      if (!count && !composition) { errorEl.textContent = 'Enter a count or a composition.'; show(errorEl); return; }
+
+      const existing = yarnsCache.find(y => y.id === editingId);
+      await window.GCDB.putYarn({
+        id: existing?.id || uuid(),
+        count,
+        composition,
+        supplier: String($('#ySupplier', section).value || '').trim(),
+        prices: existing?.prices || [],
+      });
+      await renderYarns();
+    });
+
+    section.querySelectorAll('[data-open]').forEach((b) => {
+      b.addEventListener('click', async () => {
+        currentYarnId = b.getAttribute('data-open');
+        await renderYarns();
+      });
+    });
+
+    section.querySelectorAll('[data-edit]').forEach((b) => {
+      b.addEventListener('click', () => {
+        const yarn = yarnsCache.find(y => y.id === b.getAttribute('data-edit'));
+        editingId = yarn.id;
+        $('#yCount', section).value = yarn.count || '';
+        $('#yComposition', section).value = yarn.composition || '';
+        $('#ySupplier', section).value = yarn.supplier || '';
+      });
+    });
+
+    section.querySelectorAll('[data-del]').forEach((b) => {
+      b.addEventListener('click', async () => {
+        const yarn = yarnsCache.find(y => y.id === b.getAttribute('data-del'));
+        const ok = confirm(`Delete yarn "${yarnLabelOf(yarn)}"? Saved costings keep their description and price.`);
+        if (!ok) return;
+        await window.GCDB.deleteYarn(yarn.id);
+        await renderYarns();
+      });
+    });
+
+    return section;
+  }
+
+  // One yarn: dated price history and every costing that uses it
+  async function renderYarnSection(yarn) {
+    const usedIn = await window.GCDB.getProductsBy('yarnIds', yarn.id);
+    const prices = [...(yarn.prices || [])].sort((a, b) => b.date.localeCompare(a.date));
+    const current = currentYarnPriceOf(yarn);
+
+    const section = document.createElement('div');
+    section.className = 'detail-card settings__section';
+
+    section.innerHTML = `
+      <div class="detail-card__body">
+        <div class="detail-title">${escapeHtml(yarnLabelOf(yarn))}${yarn.supplier ? ` — ${escapeHtml(yarn.supplier)}` : ''}</div>
+
+        <table class="table" role="table" aria-label="Price history">
+          <thead><tr><th>Date</th><th>Price</th><th></th></tr></thead>
+          <tbody>${prices.map(p => `
+            <tr>
+              <td>${escapeHtml(p.date)}${p === current ? ' <span class="badge badge--ok">Current</span>' : ''}</td>
+              <td>${escapeHtml(yarnPriceLabel(p))}</td>
+              <td><button class="iconBtn iconBtn--danger" type="button" data-del-price="${escapeHtml(p.date)}" title="Delete price">✕</button></td>
+            </tr>
+          `).join('') || '<tr><td colspan="3" class="muted">No prices yet.</td></tr>'}</tbody>
+        </table>
+
+        <div class="form__grid settings__form">
+          <div class="field">
+            <label class="label">Price date</label>
+            <input id="yPriceDate" class="input" type="date" value="${escapeHtml(todayIso())}" />
+          </div>
+          <div class="field">
+            <label class="label">Price</label>
+            <input id="yPrice" class="input" type="number" inputmode="decimal" min="0" step="0.0001" placeholder="e.g., 3.25" />
+          </div>
+          <div class="field">
+            <label class="label">Per</label>
+            <select id="yPriceUnit" class="input">${YARN_PRICE_UNITS.map(u => `<option value="${u.value}">${escapeHtml(u.label)}</option>`).join('')}</select>
+          </div>
+          <div class="field">
+            <label class="label">Currency</label>
+            <select id="yPriceCurrency" class="input">${currencyOptions().map(c => `<option value="${escapeHtml(c)}" ${c === DEFAULT_CURRENCY ? 'selected' : ''}>${escapeHtml(c)}</option>`).join('')}</select>
+          </div>
+          <div class="field settings__formAction">
+            <button id="yPriceSave" class="btn btn--primary" type="button">Add price</button>
+          </div>
+        </div>
+        <div id="yPriceError" class="alert hidden" role="alert"></div>
+
+        <div class="detail-title" style="margin-top:14px;">Used in ${usedIn.length} costing${usedIn.length === 1 ? '' : 's'}</div>
+        ${usedIn.map(p => {
+          const line = (p.inputs?.yarns || []).find(y => y.yarnId === yarn.id);
+          return `
+          <div class="noteRow">
+            <span><strong>${escapeHtml(p.styleName)}</strong> <span class="muted">${escapeHtml(formatDate(p.createdAt))} • ${escapeHtml(line?.priceDate ? `price of ${line.priceDate}` : 'price typed by hand')}</span></span>
+            <button class="btn btn--ghost" type="button" data-product="${escapeHtml(p.id)}">Open</button>
+          </div>
+        `;
+        }).join('') || '<div class="muted">No saved costing uses this yarn yet.</div>'}
+      </div>
+    `;
+
+    const errorEl = $('#yPriceError', section);
+    $('#yPriceSave', section).addEventListener('click', async () => {
+      const date = $('#yPriceDate', section).value;
+      const price = $('#yPrice', section).value;
+      let msg = '';
+      if (!date) msg = 'Price date is required.';
+      else if (!(toNum(price) > 0)) msg = 'Price must be greater than 0.';
+      if (msg) { errorEl.textContent = msg; show(errorEl); return; }
+
+      // One price per date: re-entering a date replaces it
+      const entry = { date, price: toNum(price), unit: $('#yPriceUnit', section).value, currency: $('#yPriceCurrency', section).value };
+      await window.GCDB.putYarn({ ...yarn, prices: (yarn.prices || []).filter(p => p.date !== date).concat(entry) });
+      await renderYarns();
+    });
+
+    section.querySelectorAll('[data-del-price]').forEach((b) => {
+      b.addEventListener('click', async () => {
+        const date = b.getAttribute('data-del-price');
+        await window.GCDB.putYarn({ ...yarn, prices: (yarn.prices || []).filter(p => p.date !== date) });
+        await renderYarns();
+      });
+    });
+
+    section.querySelectorAll('[data-product]').forEach((b) => {
+      b.addEventListener('click', () => {
+        const product = usedIn.find(p => p.id === b.getAttribute('data-product'));
+        if (product) openDetail(product);
+      });
+    });
+
+    return section;
   }
 
   // ===========
-  // Detail view (read-only)
+  // Bulk re-price
   // ===========
-  function openDetail(product) {
-    currentDetail = product;
-
-    const currency = product.currency || DEFAULT_CURRENCY;
-    const created = formatDate(product.createdAt);
-
-    detailMeta.textContent = `Created: ${created} • Calc ${product.calcVersion} • App v${product.appVersion}`;
+  const REPRICE_FIELDS = [
+    { value: 'yarnPrice', label: 'Yarn price' },
+    { value: 'cmDoz', label: 'CM / doz' },
+    { value: 'wastagePct', label: 'Wastage %' },
+  ];
 
-    const imgUrl = product.photo?.blob ? URL.createObjectURL(product.photo.blob) : null;
+  async function openReprice() {
+    productsCache = await window.GCDB.getAllProducts();
+    await loadYarns();
+    await loadSanityRules();
+    repriceRows = [];
+    renderReprice();
+    showView(viewReprice);
+  }
 
-    const comp = product.composition ? escapeHtml(product.composition) : '—';
-    const gauge = escapeHtml(String(product.gauge));
-    const weight = escapeHtml(String(Math.round(product.weightGm)));
+  // Latest revision of each family matching the criteria (superseded records are skipped)
+  function repriceCandidatesOf(f) {
+    return productsCache.filter((p) => {
+      if (productsCache.some(x => x.parentId === p.id)) return false;
+      if (f.yarnId && !(p.yarnIds || []).includes(f.yarnId)) return false;
+      if (f.buyer && p.buyer !== f.buyer) return false;
+      if (f.gauge && String(p.gauge) !== f.gauge) return false;
+      const day = String(p.createdAt).slice(0, 10);
+      if (f.from && day < f.from) return false;
+      if (f.to && day > f.to) return false;
+      return true;
+    });
+  }
 
-    const finalFob = product.computed?.finalPerPc ?? 0;
+  function repriceChangeText(f) {
+    const yarn = yarnsCache.find(y => y.id === f.yarnId);
+    if (f.field === 'yarnPrice') {
+      const target = yarn ? yarnLabelOf(yarn) : 'all yarns';
+      if (f.value === '' && yarn) return `${target} at library price of ${currentYarnPriceOf(yarn)?.date || '—'}`;
+      return `${target} at ${formatPlain(toNum(f.value), 4)} ${f.currency || 'quote currency'} / ${YARN_PRICE_UNITS.find(u => u.value === f.unit)?.label}`;
+    }
+    if (f.field === 'cmDoz') return `CM ${formatPlain(toNum(f.value), 2)} ${f.currency || 'quote currency'} / doz`;
+    return `wastage ${formatPlain(toNum(f.value), 2)}%`;
+  }
 
-    const inputs = product.inputs || {};
-    const computed = product.computed || {};
+  // Saved record -> re-priced wizard state (or a reason it can't be re-priced)
+  function repriceStateOf(product, f) {
+    const state = productToState(product);
+    // Keep the record's own FX snapshot so only the chosen input moves the price
+    state.fx = product.inputs?.fx || null;
+    state.parentId = product.id;
+    state.revision = (product.revision || 1) + 1;
+    state.notes = (product.notes || []).map(n => ({ text: n.text, createdAt: n.createdAt }));
+
+    if (f.field === 'yarnPrice') {
+      const yarn = yarnsCache.find(y => y.id === f.yarnId);
+      const lines = state.yarns.filter(y => !f.yarnId || y.yarnId === f.yarnId);
+      if (!lines.length) return { skip: 'No matching yarn line' };
+      lines.forEach((y) => {
+        if (f.value === '' && yarn) applyLibraryYarn(y, yarn);
+        else Object.assign(y, { price: String(toNum(f.value)), priceUnit: f.unit, currency: f.currency, priceDate: '' });
+      });
+    }
+    if (f.field === 'cmDoz') {
+      if (state.cmMode === 'smv') return { skip: 'CM comes from SMV' };
+      state.cmDoz = String(toNum(f.value));
+      // The form takes CM per dozen, in the currency picked there
+      state.lineUnits = { ...(state.lineUnits || {}), cmDoz: 'doz' };
+      state.lineCurrencies = { ...(state.lineCurrencies || {}), cmDoz: f.currency };
+    }
+    if (f.field === 'wastagePct') state.wastagePct = String(toNum(f.value));
+
+    const invalid = STEPS.filter(st => st.kind !== 'preview').map(st => validateStep(st, state)).find(v => !v.ok);
+    if (invalid) return { skip: invalid.message };
+    // Only the record's own rates apply; a new currency without one would cost as 0
+    const { fxMissing } = computeAll(state);
+    if (fxMissing.length) return { skip: `No exchange rate for ${fxMissing.join(', ')} in this record's rates` };
+    return { state };
+  }
 
-    // Build breakdown (factory naming)
-    const rows = [
-      ['Yarn price / LBS', formatPlain(toNum(inputs.yarnPricePerLb), 4)],
-      ['Garments Weight (grams)', `${formatPlain(toNum(product.weightGm), 2)} gm`],
-      ['Garments Weight (LBS / Doz)', computed.lbsPerDoz == null ? '—' : formatPlain(computed.lbsPerDoz, 2)],
-      ['Wastage %', `${formatPlain(toNum(inputs.wastagePct), 2)}%`],
-      ['Garments Weight LBS (Including Wastage @ %)', computed.lbsWithWastage == null ? '—' : formatPlain(computed.lbsWithWastage, 2)],
-      ['Yarn Cost (per dozen)', computed.yarnCostDoz == null ? '—' : formatMoney(computed.yarnCostDoz, currency)],
-      ['Accessories Cost (per dozen)', formatMoney(toNum(inputs.accessoriesCostDoz), currency)],
-      ['Fabric (per dozen)', formatMoney(toNum(inputs.fabricDoz), currency)],
-      ['Fabric Cost (per dozen)', formatMoney(toNum(inputs.fabricCostDoz), currency)],
-      ['Fabric Attachment CM (per dozen)', formatMoney(toNum(inputs.fabricAttachCostDoz), currency)],
-      ['Timing (min)', `${Math.trunc(toNum(inputs.timingMin))}`],
-      ['CM (per dozen)', formatMoney(toNum(inputs.cmDoz), currency)],
-      ['Costing price / FOB (per pc)', formatMoney(toNum(computed.fobPerPc), currency)],
-      ['ROC %', `${formatPlain(toNum(inputs.rocPct), 2)}%`],
-      ['Final FOB cost per piece', formatMoney(finalFob, currency)],
-    ];
+  function repriceAcked(row) {
+    return row.warnings.every(w => row.state.sanityAcks[w.message]);
+  }
 
-    const breakdownHtml = rows.map(([k, v]) => `
-      <tr>
-        <td>${escapeHtml(k)}</td>
-        <td style="text-align:right;">${escapeHtml(v)}</td>
-      </tr>
-    `).join('');
+  function validateRepriceForm(f) {
+    if (f.field === 'yarnPrice' && f.value === '') {
+      const yarn = yarnsCache.find(y => y.id === f.yarnId);
+      if (!yarn) return 'Enter a price, or pick a library yarn to use its current price.';
+      if (!currentYarnPriceOf(yarn)) return 'This yarn has no dated price up to today.';
+      return '';
+    }
+    if (!isNonNegativeNumber(f.value) || f.value === '') return 'Enter the new value.';
+    if (f.field === 'wastagePct' && !isPercentValid(f.value)) return 'Wastage % must be between 0 and 100.';
+    return '';
+  }
 
-    detailCard.innerHTML = `
-      <div class="detail-card">
-        <div class="detail-card__media">
-          ${imgUrl ? `<img src="${imgUrl}" alt="Product photo" />` : `<div class="thumbPlaceholder" style="height:240px;border-radius:0;">No photo</div>`}
-        </div>
+  function renderReprice(message = '') {
+    const f = repriceForm;
+    const option = (value, label, selected) => `<option value="${escapeHtml(value)}" ${String(value) === String(selected) ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+    const buyers = [...new Set(productsCache.map(p => String(p.buyer || '').trim()).filter(Boolean))].sort();
+    const gauges = [...new Set(productsCache.map(p => String(p.gauge)))].sort((a, b) => Number(a) - Number(b));
 
+    repriceBody.innerHTML = `
+      <div class="detail-card settings__section">
         <div class="detail-card__body">
-          <div class="detail-title">${escapeHtml(product.styleName)}</div>
-
-          <div class="kv">
-            <span class="pill">Composition <strong>${comp}</strong></span>
-            <span class="pill">Yarn <strong>${escapeHtml(product.yarnDesc)}</strong></span>
-            <span class="pill">Gauge <strong>${gauge}gg</strong></span>
-            <span class="pill">Weight <strong>${weight} gm</strong></span>
-          </div>
-
-          <div class="finalHero" role="group" aria-label="Final FOB">
-            <div class="finalHero__label">Final FOB cost per piece</div>
-            <div class="finalHero__value">
-              ${escapeHtml(formatMoney(finalFob, currency))}
-              <span class="per">/ pc</span>
+          <div class="detail-title">Select costings</div>
+          <div class="muted" style="margin-bottom:10px;">Only the latest revision of each costing is re-priced. Blank criteria match everything.</div>
+          <div class="form__grid">
+            <div class="field">
+              <label class="label">Yarn</label>
+              <select class="input" data-rp="yarnId">${option('', 'Any yarn', f.yarnId)}${yarnsCache.map(y => option(y.id, yarnLabelOf(y) + (y.supplier ? ` (${y.supplier})` : ''), f.yarnId)).join('')}</select>
+            </div>
+            <div class="field">
+              <label class="label">Buyer</label>
+              <select class="input" data-rp="buyer">${option('', 'Any buyer', f.buyer)}${buyers.map(b => option(b, b, f.buyer)).join('')}</select>
+            </div>
+            <div class="field">
+              <label class="label">Gauge</label>
+              <select class="input" data-rp="gauge">${option('', 'Any gauge', f.gauge)}${gauges.map(g => option(g, `${g}gg`, f.gauge)).join('')}</select>
+            </div>
+            <div class="field">
+              <label class="label">Created from</label>
+              <input class="input" type="date" data-rp="from" value="${escapeHtml(f.from)}" />
+            </div>
+            <div class="field">
+              <label class="label">Created to</label>
+              <input class="input" type="date" data-rp="to" value="${escapeHtml(f.to)}" />
             </div>
           </div>
 
-          <div class="note">
-            Read-only record. Use <strong>“Duplicate &amp; Recalculate”</strong> to create a new audited version.
+          <div class="detail-title" style="margin-top:14px;">New value</div>
+          <div class="form__grid">
+            <div class="field">
+              <label class="label">Input</label>
+              <select class="input" data-rp="field">${REPRICE_FIELDS.map(o => option(o.value, o.label, f.field)).join('')}</select>
+            </div>
+            <div class="field">
+              <label class="label">Value</label>
+              <input class="input" type="number" inputmode="decimal" min="0" step="0.0001" data-rp="value" value="${escapeHtml(f.value)}" placeholder="${f.field === 'yarnPrice' ? 'blank = library price' : ''}" />
+            </div>
+            ${f.field === 'yarnPrice' ? `
+            <div class="field">
+              <label class="label">Per</label>
+              <select class="input" data-rp="unit">${YARN_PRICE_UNITS.map(u => option(u.value, u.label, f.unit)).join('')}</select>
+            </div>
+            ` : ''}
+            ${f.field !== 'wastagePct' ? `
+            <div class="field">
+              <label class="label">Currency</label>
+              <select class="input" data-rp="currency">${option('', 'Quote currency', f.currency)}${currencyOptions().map(c => option(c, c, f.currency)).join('')}</select>
+            </div>
+            ` : ''}
+            <div class="field settings__formAction">
+              <button id="rpPreview" class="btn btn--primary" type="button">Preview</button>
+            </div>
           </div>
+          <div class="help">A yarn price applies to the selected yarn's lines (or every yarn line when no yarn is selected). CM is set per dozen. Each record keeps its own exchange rates; "Quote currency" means each record's own quote currency.</div>
+          <div id="rpError" class="alert ${message ? '' : 'hidden'}" role="alert">${escapeHtml(message)}</div>
         </div>
       </div>
 
-      <div class="detail-card">
-        <div class="detail-card__body breakdown">
-          <div class="detail-title" style="display:flex;align-items:center;justify-content:space-between;gap:10px;">
-            <span>Cost breakdown</span>
-            <span class="badge badge--ok">Audited</span>
-          </div>
-
-          <table class="table" role="table" aria-label="Cost breakdown">
-            <thead>
-              <tr><th>Component</th><th>Cost</th></tr>
-            </thead>
-            <tbody>
-              ${[
-                ['Yarn Cost (per dozen)', computed.yarnCostDoz == null ? '—' : formatMoney(computed.yarnCostDoz, currency)],
-                ['Accessories Cost (per dozen)', formatMoney(toNum(inputs.accessoriesCostDoz), currency)],
-                ['Fabric (per dozen)', formatMoney(toNum(inputs.fabricDoz), currency)],
-                ['Fabric Cost (per dozen)', formatMoney(toNum(inputs.fabricCostDoz), currency)],
-                ['Fabric Attachment CM (per dozen)', formatMoney(toNum(inputs.fabricAttachCostDoz), currency)],
-                ['CM (per dozen)', formatMoney(toNum(inputs.cmDoz), currency)],
-                ['Costing price / FOB (per pc)', formatMoney(toNum(computed.fobPerPc), currency), 'total'],
-                ['Final (ROC 2.50%)', formatMoney(finalFob, currency), 'total'],
-              
-              ].map(([k, v, kind]) => `
-                <tr class="${kind === 'total' ? 'total-row' : ''}">
-                  <td>${escapeHtml(String(k))}</td>
-                  <td>${escapeHtml(String(v))}</td>
+      ${repriceRows.length ? `
+      <div class="detail-card settings__section">
+        <div class="detail-card__body">
+          <div class="detail-title">Before / after — ${escapeHtml(repriceChangeText(f))}</div>
+          <div class="rowEditor__scroll">
+            <table class="table" role="table" aria-label="Re-price preview">
+              <thead><tr><th></th><th>Style</th><th>Buyer</th><th>FOB / pc before</th><th>FOB / pc after</th><th>Change</th></tr></thead>
+              <tbody>${repriceRows.map((r, i) => {
+                const currency = r.product.currency || DEFAULT_CURRENCY;
+                const before = toNum(r.product.computed?.fobPerPc);
+                return `
+                <tr>
+                  <td><input type="checkbox" data-rp-row="${i}" ${r.selected ? 'checked' : ''} ${(r.skip || !repriceAcked(r)) ? 'disabled' : ''} /></td>
+                  <td><strong>${escapeHtml(r.product.styleName)}</strong> <span class="muted">Rev ${escapeHtml(String(r.product.revision || 1))}</span></td>
+                  <td>${escapeHtml(r.product.buyer || '—')}</td>
+                  <td>${escapeHtml(formatMoney(before, currency))}</td>
+                  <td>${r.skip ? `<span class="muted">${escapeHtml(r.skip)}</span>` : escapeHtml(formatMoney(r.derived.fobPerPc, currency))}</td>
+                  <td>${r.skip ? '—' : `${r.derived.fobPerPc >= before ? '+' : ''}${escapeHtml(formatMoney(r.derived.fobPerPc - before, currency))}${r.warnings.map((w, j) => `
+                    <label class="sanityWarning">
+                      <input type="checkbox" data-rp-ack="${i}:${j}" ${r.state.sanityAcks[w.message] ? 'checked' : ''} />
+                      <span>⚠ ${escapeHtml(w.message)}</span>
+                    </label>`).join('')}`}</td>
                 </tr>
-              `).join('')}
-            </tbody>
-          </table>
-
-          <details class="details">
-            <summary class="details__summary">Technical / weight details</summary>
-            <div class="details__body">
-              <table class="table" role="table" aria-label="Technical details">
-                <thead><tr><th>Particular</th><th>Value</th></tr></thead>
-                <tbody>
-                  ${[
-                    ['Garments Weight (grams)', `${formatPlain(toNum(product.weightGm), 2)} gm`],
-                    ['Garments Weight (LBS / Doz)', computed.lbsPerDoz == null ? '—' : formatPlain(computed.lbsPerDoz, 2)],
-                    ['Wastage %', `${formatPlain(toNum(inputs.wastagePct), 2)}%`],
-                    ['Garments Weight LBS (Including Wastage @ %)', computed.lbsWithWastage == null ? '—' : formatPlain(computed.lbsWithWastage, 2)],
-                    ['Yarn price / LBS', formatPlain(toNum(inputs.yarnPricePerLb), 4)],
-                    ['Timing (min)', `${Math.trunc(toNum(inputs.timingMin))}`],
-                  ].map(([k, v]) => `
-                    <tr>
-                      <td>${escapeHtml(String(k))}</td>
-                      <td>${escapeHtml(String(v))}</td>
-                    </tr>
-                  `).join('')}
-                </tbody>
-              </table>
-            </div>
-          </details>
+              `;
+              }).join('')}</tbody>
+            </table>
+          </div>
+          <div class="help">Confirming saves each ticked row as a new draft revision linked to its original; originals are not changed. A row with warnings can be ticked once each of its warnings is ticked as intended.</div>
+          <div class="previewCTA">
+            <button id="rpConfirm" class="btn btn--primary" type="button">Save ${repriceRows.filter(r => r.selected).length} new revision(s)</button>
+          </div>
         </div>
       </div>
+      ` : ''}
     `;
 
-    if (imgUrl) setTimeout(() => URL.revokeObjectURL(imgUrl), 60_000);
-
-    showView(viewDetail);
-
-    // Wire actions
-    btnDuplicate.onclick = () => duplicateProduct(product);
-    btnDeleteProduct.onclick = () => deleteCurrentProduct(product);
-    btnDownloadPdf.onclick = () => downloadProductAsPdf(product);
-    btnDownloadPng.onclick = () => downloadShareImage(product, 'png');
-    btnDownloadJpg.onclick = () => downloadShareImage(product, 'jpg');
-  }
-
-  async function deleteCurrentProduct(product) {
-    const ok = confirm(`Delete costing "${product.styleName}"? This cannot be undone.`);
-    if (!ok) return;
-    await window.GCDB.deleteProduct(product.id);
-    currentDetail = null;
-    await loadAndRenderList();
-    showView(viewList);
-  }
+    repriceBody.querySelectorAll('[data-rp]').forEach((el) => {
+      el.addEventListener('change', () => {
+        const key = el.getAttribute('data-rp');
+        repriceForm = { ...repriceForm, [key]: el.value };
+        // The preview no longer matches the form
+        if (repriceRows.length || key === 'field') { repriceRows = []; renderReprice(); }
+      });
+    });
 
-  async function duplicateProduct(product) {
-    // Use saved record as base, but keep wizard a new draft
-    const baseData = defaultWizardState();
+    $('#rpPreview', repriceBody).addEventListener('click', () => {
+      const msg = validateRepriceForm(repriceForm);
+      if (msg) { renderReprice(msg); return; }
+      repriceRows = repriceCandidatesOf(repriceForm).map((product) => {
+        const { state, skip } = repriceStateOf(product, repriceForm);
+        if (skip) return { product, skip, selected: false };
+        const derived = computeAll(state);
+        const warnings = sanityWarningsOf(state, derived);
+        // Rows with warnings wait for each one to be acknowledged
+        return { product, state, derived, warnings, selected: !warnings.length };
+      });
+      renderReprice(repriceRows.length ? '' : 'No costings match these criteria.');
+    });
 
-    baseData.styleName = product.styleName;
-    baseData.yarnDesc = product.yarnDesc;
-    baseData.composition = product.composition || '';
-    baseData.gauge = product.gauge;
-    baseData.weightGm = String(product.weightGm);
-    baseData.currency = product.currency || DEFAULT_CURRENCY;
-    baseData.photo = product.photo ? { blob: product.photo.blob, width: product.photo.width, height: product.photo.height, type: product.photo.type } : null;
+    repriceBody.querySelectorAll('[data-rp-row]').forEach((box) => {
+      box.addEventListener('change', () => {
+        repriceRows[Number(box.getAttribute('data-rp-row'))].selected = box.checked;
+        $('#rpConfirm', repriceBody).textContent = `Save ${repriceRows.filter(r => r.selected).length} new revision(s)`;
+      });
+    });
 
-    baseData.yarnPricePerLb = String(product.inputs?.yarnPricePerLb ?? '');
-    baseData.wastagePct = product.inputs?.wastagePct ?? 0;
-    baseData.accessoriesCostDoz = product.inputs?.accessoriesCostDoz ?? 0;
-    baseData.fabricDoz = product.inputs?.fabricDoz ?? 0;
-    baseData.fabricCostDoz = product.inputs?.fabricCostDoz ?? 0;
-    baseData.fabricAttachCostDoz = product.inputs?.fabricAttachCostDoz ?? 0;
-    baseData.timingMin = product.inputs?.timingMin ?? 0;
-    baseData.cmDoz = product.inputs?.cmDoz ?? 0;
-    baseData.rocPct = product.inputs?.rocPct ?? 0;
+    repriceBody.querySelectorAll('[data-rp-ack]').forEach((box) => {
+      box.addEventListener('change', () => {
+        const [i, j] = box.getAttribute('data-rp-ack').split(':').map(Number);
+        const r = repriceRows[i];
+        const { message } = r.warnings[j];
+        if (box.checked) r.state.sanityAcks[message] = new Date().toISOString();
+        else delete r.state.sanityAcks[message];
+        r.selected = r.selected && repriceAcked(r);
+        renderReprice();
+      });
+    });
 
-    await saveDraft(baseData);
-    await openWizard({ resume: true });
+    $('#rpConfirm', repriceBody)?.addEventListener('click', async () => {
+      const rows = repriceRows.filter(r => r.selected);
+      if (!rows.length) return;
+      const now = new Date().toISOString();
+      const note = `Bulk re-price: ${repriceChangeText(repriceForm)}`;
+      try {
+        for (const r of rows) {
+          r.state.notes = [...r.state.notes, { text: note, createdAt: now }];
+          await window.GCDB.putProduct(buildProduct(r.state));
+        }
+      } catch (e) {
+        console.error(e);
+        renderReprice('Could not save every re-priced costing. Please check the list and try again.');
+        return;
+      }
+      productsCache = await window.GCDB.getAllProducts();
+      repriceRows = [];
+      renderReprice();
+      alert(`Saved ${rows.length} new revision(s). Each is linked to its original in the revision history.`);
+    });
   }
 
   // ===========
-  // PDF export (no popup) — prints #printRoot
+  // Trash (soft delete)
   // ===========
-  function buildPrintableFragment(product, imgDataUrl) {
-    const currency = product.currency || DEFAULT_CURRENCY;
-    const safe = (s) => escapeHtml(s ?? '');
+  const DEFAULT_TRASH_PURGE_DAYS = 30;
+  const DAY_MS = 24 * 60 * 60 * 1000;
 
-    const rows = [
-      ['Yarn price / LBS', formatPlain(toNum(product.inputs?.yarnPricePerLb), 4)],
-      ['Garments Weight (grams)', `${formatPlain(toNum(product.weightGm), 2)} gm`],
-      ['Garments Weight (LBS / Doz)', product.computed?.lbsPerDoz == null ? '—' : formatPlain(product.computed.lbsPerDoz, 2)],
-      ['Wastage %', `${formatPlain(toNum(product.inputs?.wastagePct), 2)}%`],
-      ['Garments Weight LBS (Including Wastage @ %)', product.computed?.lbsWithWastage == null ? '—' : formatPlain(product.computed.lbsWithWastage, 2)],
-      ['Yarn Cost (per dozen)', product.computed?.yarnCostDoz == null ? '—' : formatMoney(product.computed.yarnCostDoz, currency)],
-      ['Accessories Cost (per dozen)', formatMoney(toNum(product.inputs?.accessoriesCostDoz), currency)],
-      ['Fabric (per dozen)', formatMoney(toNum(product.inputs?.fabricDoz), currency)],
-      ['Fabric Cost (per dozen)', formatMoney(toNum(product.inputs?.fabricCostDoz), currency)],
-      ['Fabric Attachment CM (per dozen)', formatMoney(toNum(product.inputs?.fabricAttachCostDoz), currency)],
-      ['Timing (min)', `${Math.trunc(toNum(product.inputs?.timingMin))}`],
-      ['CM (per dozen)', formatMoney(toNum(product.inputs?.cmDoz), currency)],
-      ['Costing price / FOB (per pc)', formatMoney(toNum(product.computed?.fobPerPc), currency)],
-      [`ROC (${formatPlain(toNum(product.inputs?.rocPct),2)}%)`, formatMoney((toNum(product.computed?.fobPerPc) * toNum(product.inputs?.rocPct))/100, currency)],
-      ['Final FOB cost per piece', formatMoney(toNum(product.computed?.finalPerPc), currency)],
-    ];
+  // Days a deleted costing is kept; 0 = keep until deleted by hand
+  async function trashPurgeDaysOf() {
+    try {
+      const days = await window.GCDB.getSetting('trashPurgeDays');
+      return (days == null) ? DEFAULT_TRASH_PURGE_DAYS : toNum(days);
+    } catch (e) {
+      console.warn('Trash setting load failed', e);
+      return DEFAULT_TRASH_PURGE_DAYS;
+    }
+  }
 
-    const created = formatDate(product.createdAt);
-    const generated = formatDate(new Date().toISOString());
-    const gaugeWeight = `${safe(product.gauge)}gg / ${Math.round(toNum(product.weightGm))} gm`;
+  async function purgeExpiredTrash() {
+    try {
+      const days = await trashPurgeDaysOf();
+      if (days > 0) await window.GCDB.purgeTrash(new Date(Date.now() - days * DAY_MS).toISOString());
+    } catch (e) {
+      console.warn('Trash purge failed', e);
+    }
+  }
 
-    const tableRows = rows.map(([label, val]) => `
-      <tr>
-        <td>${safe(label)}</td>
-        <td style="text-align:right;">${safe(val)}</td>
-      </tr>
-    `).join('');
+  async function openTrash() {
+    await renderTrash();
+    showView(viewTrash);
+  }
 
-    return `
-      <div class="print-page">
-        <div class="print-header">
-          <div class="print-brand">
-            <div class="print-logo">GC</div>
-            <div>
-              <h1 class="print-title">${safe(product.styleName)}</h1>
-              <div class="print-meta">
-                <div>Created: ${safe(created)}</div>
-                <div>Calc version: ${safe(product.calcVersion || '')} • App: ${safe(product.appVersion || '')}</div>
-              </div>
-            </div>
-          </div>
-          <div class="print-fob">
-            <div class="label">Final FOB cost per piece</div>
-            <div class="value">${formatMoney(toNum(product.computed?.finalPerPc), currency)} / pc</div>
-          </div>
-        </div>
+  async function renderTrash() {
+    await purgeExpiredTrash();
+    const days = await trashPurgeDaysOf();
+    const items = await window.GCDB.getAllTrash();
 
-        <div class="print-grid">
-          <div class="print-card">
-            <div class="print-media"><img src="${imgDataUrl}" alt="Product photo"></div>
-            <div class="print-body">
-              <div class="print-kv">
-                <span class="print-pill">Composition: <strong>${safe(product.composition || '—')}</strong></span>
-                <span class="print-pill">Yarn: <strong>${safe(product.yarnDesc || '—')}</strong></span>
-                <span class="print-pill">Gauge/Weight: <strong>${safe(gaugeWeight)}</strong></span>
-              </div>
+    trashBody.innerHTML = `
+      <div class="detail-card settings__section">
+        <div class="detail-card__body">
+          <div class="detail-title">Auto-purge</div>
+          <div class="form__grid settings__form">
+            <div class="field">
+              <label class="label">Delete permanently after (days)</label>
+              <input id="tPurgeDays" class="input" type="number" inputmode="numeric" min="0" step="1" value="${escapeHtml(String(days))}" />
+              <div class="help">0 keeps deleted costings until you delete them here.</div>
             </div>
-          </div>
-
-          <div class="print-card">
-            <div class="print-body">
-              <div style="font-weight:800; margin-bottom:10px;">Cost breakdown</div>
-              <table class="print-table">
-                <thead><tr><th>Particular</th><th style="text-align:right;">Value</th></tr></thead>
-                <tbody>${tableRows}</tbody>
-              </table>
+            <div class="field settings__formAction">
+              <button id="tPurgeSave" class="btn btn--primary" type="button">Save</button>
             </div>
           </div>
+          <div id="tPurgeError" class="alert hidden" role="alert"></div>
         </div>
+      </div>
 
-        <div class="print-footer">
-          <div><strong>Disclaimer:</strong> Final costing should be reviewed before buyer submission.</div>
-          <div class="print-audit">
-            <div>Record ID: ${safe(product.id)}</div>
-            <div>Generated: ${safe(generated)}</div>
+      <div class="detail-card settings__section">
+        <div class="detail-card__body">
+          <div class="detail-title">Deleted costings (${items.length})</div>
+          ${items.map((t) => {
+            const p = t.product;
+            const purgeOn = days > 0 ? formatDate(new Date(new Date(t.deletedAt).getTime() + days * DAY_MS).toISOString()) : '';
+            return `
+            <div class="noteRow">
+              <span>
+                <strong>${escapeHtml(p.styleName)}</strong>
+                <span class="muted">Rev ${escapeHtml(String(p.revision || 1))} • ${escapeHtml(formatMoney(headlineOf(p).pricePc, p.currency || DEFAULT_CURRENCY))} / pc • deleted ${escapeHtml(formatDate(t.deletedAt))}${purgeOn ? ` • purged ${escapeHtml(purgeOn)}` : ''}</span>
+              </span>
+              <span>
+                <button class="btn btn--ghost" type="button" data-restore="${escapeHtml(t.id)}">Restore</button>
+                <button class="btn btn--danger" type="button" data-purge="${escapeHtml(t.id)}">Delete forever</button>
+              </span>
+            </div>
+          `;
+          }).join('') || '<div class="muted">Trash is empty.</div>'}
+          ${items.length ? `
+          <div class="previewCTA">
+            <button id="tEmpty" class="btn btn--danger" type="button">Empty trash</button>
           </div>
+          ` : ''}
         </div>
       </div>
     `;
-  }
 
-  async function downloadProductAsPdf(product) {
-    try {
-      // Use in-document print (no window.open) to avoid popup blockers.
-      // Photo is embedded as a data URL so it loads fast on mobile.
-      const imgDataUrl = product.photo?.blob ? await blobToDataUrl(product.photo.blob) : '';
-      printRoot.innerHTML = buildPrintableFragment(product, imgDataUrl);
+    const errorEl = $('#tPurgeError', trashBody);
+    $('#tPurgeSave', trashBody).addEventListener('click', async () => {
+      const value = $('#tPurgeDays', trashBody).value;
+      if (!(isNonNegativeNumber(value) && value !== '' && Number.isInteger(Number(value)))) {
+        errorEl.textContent = 'Days must be a whole number (0 or more).';
+        show(errorEl);
+        return;
+      }
+      await window.GCDB.putSetting('trashPurgeDays', Number(value));
+      await renderTrash();
+    });
 
-      // Trigger print immediately while we are still inside the click gesture.
-      // (Some mobile browsers block delayed print() calls.)
-      window.print();
+    trashBody.querySelectorAll('[data-restore]').forEach((b) => {
+      b.addEventListener('click', async () => {
+        await window.GCDB.restoreProduct(b.getAttribute('data-restore'));
+        await renderTrash();
+      });
+    });
 
-      // Cleanup after printing
-      window.addEventListener('afterprint', () => { printRoot.innerHTML = ''; }, { once: true });
-    } catch (e) {
-      console.error(e);
-      alert('Could not generate the PDF. Please try again.');
-    }
+    trashBody.querySelectorAll('[data-purge]').forEach((b) => {
+      b.addEventListener('click', async () => {
+        const t = items.find(x => x.id === b.getAttribute('data-purge'));
+        const ok = confirm(`Permanently delete "${t.product.styleName}"? This cannot be undone.`);
+        if (!ok) return;
+        await window.GCDB.deleteFromTrash(t.id);
+        await renderTrash();
+      });
+    });
+
+    $('#tEmpty', trashBody)?.addEventListener('click', async () => {
+      const ok = confirm(`Permanently delete all ${items.length} costing(s) in the trash? This cannot be undone.`);
+      if (!ok) return;
+      for (const t of items) await window.GCDB.deleteFromTrash(t.id);
+      await renderTrash();
+    });
   }
-    
 
   // ===========
-  // Share image export (PNG/JPG) — deterministic canvas renderer
+  // Settings (master data)
   // ===========
-  async function downloadShareImage(product, format) {
-    try {
-      const blob = await renderShareCard(product, format);
-      const ext = (format === 'jpg') ? 'jpg' : 'png';
-      const filename = `${sanitizeFilename(product.styleName)}-FOB.${ext}`;
-      downloadBlob(blob, filename);
-    } catch (e) {
-      console.error(e);
-      alert('Could not generate the image. Please try again.');
-    }
+  async function openSettings() {
+    await renderSettings();
+    showView(viewSettings);
   }
 
-  function sanitizeFilename(name) {
-    return String(name || 'costing')
-      .replace(/[^\w\-]+/g, '_')
-      .slice(0, 60);
+  async function renderSettings() {
+    settingsBody.innerHTML = '';
+    settingsBody.appendChild(await renderGaugesSection());
+    settingsBody.appendChild(await renderBuyersSection());
+    settingsBody.appendChild(await renderSanitySection());
+    settingsBody.appendChild(await renderRatesSection());
   }
 
-  async function renderShareCard(product, format) {
-    const currency = product.currency || DEFAULT_CURRENCY;
-    const fob = toNum(product.computed?.finalPerPc);
+  async function renderGaugesSection() {
+    await loadGauges();
 
-    // 1080px share card (good for WhatsApp/email)
-    const W = 1080;
-    const H = 1350;
+    const section = document.createElement('div');
+    section.className = 'detail-card settings__section';
 
-    const canvas = document.createElement('canvas');
-    canvas.width = W;
-    canvas.height = H;
-    const ctx = canvas.getContext('2d');
+    const cell = (v, digits) => (v == null ? '—' : formatPlain(v, digits));
+    const rows = gaugesCache.map(g => `
+      <tr>
+        <td><strong>${escapeHtml(String(g.gauge))}gg</strong></td>
+        <td>${escapeHtml(cell(g.wastagePct, 2))}</td>
+        <td>${escapeHtml(cell(g.knitMin, 2))}</td>
+        <td>${escapeHtml(cell(g.costPerMin, 4))}</td>
+        <td>
+          <button class="iconBtn" type="button" data-edit="${escapeHtml(String(g.gauge))}" title="Edit gauge">✎</button>
+          <button class="iconBtn iconBtn--danger" type="button" data-del="${escapeHtml(String(g.gauge))}" title="Delete gauge">✕</button>
+        </td>
+      </tr>
+    `).join('');
 
-    // Background (dark gradient)
-    const grad = ctx.createLinearGradient(0, 0, 0, H);
-    grad.addColorStop(0, '#0b1220');
-    grad.addColorStop(1, '#0a1a26');
-    ctx.fillStyle = grad;
-    ctx.fillRect(0, 0, W, H);
+    section.innerHTML = `
+      <div class="detail-card__body">
+        <div class="detail-title">Gauges</div>
+        <div class="muted" style="margin-bottom:10px;">
+          Gauges offered on the style step. Choosing a gauge pre-fills its defaults (blank = no default); every value can still be changed in the wizard. Knitting minutes and the CM rate per minute fill the SMV fields on the CM step (in the costing's CM currency).
+        </div>
 
-    // Card
-    const pad = 54;
-    const cardX = pad, cardY = pad, cardW = W - pad * 2, cardH = H - pad * 2;
+        <table class="table" role="table" aria-label="Gauges">
+          <thead><tr><th>Gauge</th>${GAUGE_PRESET_FIELDS.map(([, label]) => `<th>${escapeHtml(label)}</th>`).join('')}<th></th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
 
-    roundRect(ctx, cardX, cardY, cardW, cardH, 42);
-    ctx.fillStyle = 'rgba(255,255,255,0.08)';
-    ctx.fill();
+        <div class="form__grid settings__form">
+          <div class="field">
+            <label class="label">Gauge (gg)</label>
+            <input id="sGauge" class="input" type="number" inputmode="decimal" min="0" step="0.5" placeholder="e.g., 14" />
+          </div>
+          ${GAUGE_PRESET_FIELDS.map(([key, label]) => `
+          <div class="field">
+            <label class="label">${escapeHtml(label)}</label>
+            <input class="input" data-gauge-field="${key}" type="number" inputmode="decimal" min="0" step="0.01" placeholder="optional" />
+          </div>
+          `).join('')}
+          <div class="field settings__formAction">
+            <button id="sGaugeSave" class="btn btn--primary" type="button">Save gauge</button>
+          </div>
+        </div>
+        <div id="sGaugeError" class="alert hidden" role="alert"></div>
+      </div>
+    `;
 
-    // Inner header
-    ctx.fillStyle = 'rgba(255,255,255,0.92)';
-    ctx.font = '700 44px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial';
-    ctx.fillText('Garment Costing', cardX + 40, cardY + 78);
+    const errorEl = $('#sGaugeError', section);
+    $('#sGaugeSave', section).addEventListener('click', async () => {
+      const gauge = toNum($('#sGauge', section).value);
+      const entry = { gauge };
+      let msg = '';
+      if (!(gauge > 0)) msg = 'Gauge must be greater than 0.';
+      section.querySelectorAll('[data-gauge-field]').forEach((el) => {
+        const key = el.getAttribute('data-gauge-field');
+        if (el.value === '') { entry[key] = null; return; }
+        if (!isNonNegativeNumber(el.value)) msg = msg || 'Defaults must be non-negative numbers.';
+        else if (key === 'wastagePct' && !isPercentValid(el.value)) msg = msg || 'Wastage % must be between 0 and 100.';
+        entry[key] = toNum(el.value);
+      });
+      if (msg) { errorEl.textContent = msg; show(errorEl); return; }
 
-    ctx.fillStyle = 'rgba(255,255,255,0.70)';
-    ctx.font = '500 24px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial';
-    ctx.fillText(`Calc: ${product.calcVersion} • ${formatDate(product.createdAt)}`, cardX + 40, cardY + 116);
+      await window.GCDB.putGauge(entry);
+      await renderSettings();
+    });
 
-    // Photo area
-    const photoX = cardX + 40;
-    const photoY = cardY + 150;
-    const photoW = cardW - 80;
-    const photoH = 560;
+    section.querySelectorAll('[data-edit]').forEach((b) => {
+      b.addEventListener('click', () => {
+        const g = gaugesCache.find(x => String(x.gauge) === b.getAttribute('data-edit'));
+        $('#sGauge', section).value = String(g.gauge);
+        section.querySelectorAll('[data-gauge-field]').forEach((el) => {
+          const v = g[el.getAttribute('data-gauge-field')];
+          el.value = (v == null) ? '' : String(v);
+        });
+      });
+    });
 
-    roundRect(ctx, photoX, photoY, photoW, photoH, 32);
-    ctx.fillStyle = 'rgba(255,255,255,0.06)';
-    ctx.fill();
+    section.querySelectorAll('[data-del]').forEach((b) => {
+      b.addEventListener('click', async () => {
+        if (gaugesCache.length <= 1) { errorEl.textContent = 'Keep at least one gauge.'; show(errorEl); return; }
+        const ok = confirm(`Delete gauge ${b.getAttribute('data-del')}gg? Saved costings keep their gauge.`);
+        if (!ok) return;
+        await window.GCDB.deleteGauge(Number(b.getAttribute('data-del')));
+        await renderSettings();
+      });
+    });
 
-    if (product.photo?.blob) {
-      const imgUrl = await blobToDataUrl(product.photo.blob);
-      const img = await loadImage(imgUrl);
-      // cover fit
-      drawCover(ctx, img, photoX, photoY, photoW, photoH, 32);
-    }
+    return section;
+  }
 
-    // Style name
-    const textX = cardX + 40;
-    let y = photoY + photoH + 70;
+  async function renderBuyersSection() {
+    await loadBuyers();
 
-    ctx.fillStyle = 'rgba(255,255,255,0.92)';
-    ctx.font = '800 54px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial';
-    y = drawWrappedText(ctx, product.styleName, textX, y, photoW, 60, 2);
+    const section = document.createElement('div');
+    section.className = 'detail-card settings__section';
 
-    // Chips line
-    ctx.fillStyle = 'rgba(255,255,255,0.78)';
-    ctx.font = '600 28px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial';
-    const chipLine = `${product.composition ? product.composition : '—'}   •   ${product.gauge}gg / ${Math.round(toNum(product.weightGm))} gm`;
-    y += 20;
-    ctx.fillText(chipLine, textX, y);
+    const rows = buyersCache.map(b => `
+      <tr>
+        <td><strong>${escapeHtml(b.name)}</strong></td>
+        <td>${escapeHtml(b.currency || '—')}</td>
+        <td>${escapeHtml(b.commissionPct == null ? '—' : `${formatPlain(b.commissionPct, 2)}%`)}</td>
+        <td>
+          <button class="iconBtn" type="button" data-edit="${escapeHtml(b.name)}" title="Edit buyer">✎</button>
+          <button class="iconBtn iconBtn--danger" type="button" data-del="${escapeHtml(b.name)}" title="Delete buyer">✕</button>
+        </td>
+      </tr>
+    `).join('');
 
-    // FOB highlight
-    y += 90;
-    roundRect(ctx, textX, y, photoW, 150, 28);
-    ctx.fillStyle = 'rgba(125,211,252,0.12)';
-    ctx.fill();
+    section.innerHTML = `
+      <div class="detail-card__body">
+        <div class="detail-title">Buyers</div>
+        <div class="muted" style="margin-bottom:10px;">
+          Buyers offered on the style step. Choosing a buyer pre-fills its quote currency and commission % (blank = no default); both can still be changed in the wizard.
+        </div>
 
-    ctx.fillStyle = 'rgba(255,255,255,0.86)';
-    ctx.font = '700 28px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial';
-    ctx.fillText('Final FOB cost per piece', textX + 28, y + 58);
+        <table class="table" role="table" aria-label="Buyers">
+          <thead><tr><th>Buyer</th><th>Quote currency</th><th>Commission %</th><th></th></tr></thead>
+          <tbody>${rows || '<tr><td colspan="4" class="muted">No buyers yet.</td></tr>'}</tbody>
+        </table>
 
-    ctx.fillStyle = 'rgba(255,255,255,0.96)';
-    ctx.font = '900 64px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial';
-    ctx.fillText(`${formatMoney(fob, currency)} / pc`, textX + 28, y + 118);
+        <div class="form__grid settings__form">
+          <div class="field">
+            <label class="label">Buyer name</label>
+            <input id="sBuyerName" class="input" type="text" placeholder="e.g., H&amp;M" />
+          </div>
+          <div class="field">
+            <label class="label">Quote currency</label>
+            <select id="sBuyerCurrency" class="input">
+              <option value="">No default</option>
+              ${currencyOptions().map(c => `<option value="${escapeHtml(c)}">${escapeHtml(c)}</option>`).join('')}
+            </select>
+          </div>
+          <div class="field">
+            <label class="label">Commission %</label>
+            <input id="sBuyerCommission" class="input" type="number" inputmode="decimal" min="0" max="100" step="0.01" placeholder="optional" />
+          </div>
+          <div class="field settings__formAction">
+            <button id="sBuyerSave" class="btn btn--primary" type="button">Save buyer</button>
+          </div>
+        </div>
+        <div id="sBuyerError" class="alert hidden" role="alert"></div>
+      </div>
+    `;
 
-    // Disclaimer
-    y += 220;
-    ctx.fillStyle = 'rgba(255,255,255,0.60)';
-    ctx.font = '500 22px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial';
-    ctx.fillText('Disclaimer: Final costing should be reviewed before buyer submission.', textX + 4, y);
+    const errorEl = $('#sBuyerError', section);
+    $('#sBuyerSave', section).addEventListener('click', async () => {
+      const name = String($('#sBuyerName', section).value || '').trim();
+      const commission = $('#sBuyerCommission', section).value;
+      let msg = '';
+      if (!name) msg = 'Buyer name is required.';
+      else if (commission !== '' && !isPercentValid(commission)) msg = 'Commission % must be between 0 and 100.';
+      if (msg) { errorEl.textContent = msg; show(errorEl); return; }
+
+      await window.GCDB.putBuyer({
+        name,
+        currency: $('#sBuyerCurrency', section).value,
+        commissionPct: commission === '' ? null : toNum(commission),
+      });
+      await renderSettings();
+    });
 
-    // toBlob
-    const mime = (format === 'jpg') ? 'image/jpeg' : 'image/png';
-    const quality = (format === 'jpg') ? 0.92 : undefined;
+    section.querySelectorAll('[data-edit]').forEach((b) => {
+      b.addEventListener('click', () => {
+        const buyer = buyersCache.find(x => x.name === b.getAttribute('data-edit'));
+        $('#sBuyerName', section).value = buyer.name;
+        $('#sBuyerCurrency', section).value = buyer.currency || '';
+        $('#sBuyerCommission', section).value = buyer.commissionPct == null ? '' : String(buyer.commissionPct);
+      });
+    });
 
-    const blob = await new Promise((resolve) => canvas.toBlob(resolve, mime, quality));
-    return blob;
-  }
+    section.querySelectorAll('[data-del]').forEach((b) => {
+      b.addEventListener('click', async () => {
+        const ok = confirm(`Delete buyer "${b.getAttribute('data-del')}"? Saved costings keep their buyer.`);
+        if (!ok) return;
+        await window.GCDB.deleteBuyer(b.getAttribute('data-del'));
+        await renderSettings();
+      });
+    });
 
-  function roundRect(ctx, x, y, w, h, r) {
-    ctx.beginPath();
-    ctx.moveTo(x + r, y);
-    ctx.arcTo(x + w, y, x + w, y + h, r);
-    ctx.arcTo(x + w, y + h, x, y + h, r);
-    ctx.arcTo(x, y + h, x, y, r);
-    ctx.arcTo(x, y, x + w, y, r);
-    ctx.closePath();
+    return section;
   }
 
-  async function loadImage(src) {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.onload = () => resolve(img);
-      img.onerror = reject;
-      img.src = src;
+  async function renderSanitySection() {
+    await loadSanityRules();
+
+    const section = document.createElement('div');
+    section.className = 'detail-card settings__section';
+
+    const boundInput = (attrs, v) => `<input class="input input--cell" ${attrs} type="number" inputmode="decimal" min="0" step="0.01" placeholder="—" value="${v == null ? '' : escapeHtml(String(v))}" />`;
+    const bandRows = SANITY_BANDS.map(([key, label]) => `
+      <tr>
+        <td>${escapeHtml(label)}</td>
+        <td>${boundInput(`data-band="${key}" data-bound="min"`, sanityRules[key]?.min)}</td>
+        <td>${boundInput(`data-band="${key}" data-bound="max"`, sanityRules[key]?.max)}</td>
+      </tr>
+    `).join('');
+    const gaugeRows = gaugeList().map(g => `
+      <tr>
+        <td>Weight (gm) — ${escapeHtml(String(g))}gg</td>
+        <td>${boundInput(`data-weight-gauge="${g}" data-bound="min"`, sanityRules.weightByGauge?.[g]?.min)}</td>
+        <td>${boundInput(`data-weight-gauge="${g}" data-bound="max"`, sanityRules.weightByGauge?.[g]?.max)}</td>
+      </tr>
+    `).join('');
+
+    section.innerHTML = `
+      <div class="detail-card__body">
+        <div class="detail-title">Sanity rules</div>
+        <div class="muted" style="margin-bottom:10px;">
+          Plausibility bands checked on the preview step. A value outside its band raises a warning that must be acknowledged before saving; it never blocks. Leave a bound blank to skip it.
+        </div>
+
+        <table class="table" role="table" aria-label="Sanity rules">
+          <thead><tr><th>Rule</th><th>Min</th><th>Max</th></tr></thead>
+          <tbody>${gaugeRows}${bandRows}</tbody>
+        </table>
+
+        <div class="previewCTA">
+          <button id="sSanityReset" class="btn btn--ghost" type="button">Restore defaults</button>
+          <button id="sSanitySave" class="btn btn--primary" type="button">Save rules</button>
+        </div>
+        <div id="sSanityError" class="alert hidden" role="alert"></div>
+      </div>
+    `;
+
+    const errorEl = $('#sSanityError', section);
+    const boundOf = (el) => (el.value === '' ? null : toNum(el.value));
+
+    $('#sSanitySave', section).addEventListener('click', async () => {
+      const rules = { weightByGauge: {} };
+      let msg = '';
+      section.querySelectorAll('input[data-bound]').forEach((el) => {
+        if (el.value !== '' && !isNonNegativeNumber(el.value)) msg = msg || 'Bounds must be non-negative numbers.';
+        const g = el.getAttribute('data-weight-gauge');
+        const target = g ? (rules.weightByGauge[g] = rules.weightByGauge[g] || {}) : (rules[el.getAttribute('data-band')] = rules[el.getAttribute('data-band')] || {});
+        target[el.getAttribute('data-bound')] = boundOf(el);
+      });
+      const bands = [...Object.values(rules.weightByGauge), ...SANITY_BANDS.map(([key]) => rules[key])];
+      if (bands.some(b => b.min != null && b.max != null && b.min > b.max)) msg = msg || 'Min cannot be greater than max.';
+      if (msg) { errorEl.textContent = msg; show(errorEl); return; }
+
+      await window.GCDB.putSetting('sanityRules', rules);
+      await renderSettings();
     });
+
+    $('#sSanityReset', section).addEventListener('click', async () => {
+      const ok = confirm('Restore the default sanity rules?');
+      if (!ok) return;
+      await window.GCDB.putSetting('sanityRules', structuredClone(DEFAULT_SANITY_RULES));
+      await renderSettings();
+    });
+
+    return section;
   }
 
-  function drawCover(ctx, img, x, y, w, h, r) {
-    // Clip rounded rect
-    ctx.save();
-    roundRect(ctx, x, y, w, h, r);
-    ctx.clip();
+  async function renderRatesSection() {
+    ratesCache = await window.GCDB.getAllRates();
+    const today = todayIso();
+    const current = resolveRates(ratesCache, today);
+
+    const section = document.createElement('div');
+    section.className = 'detail-card settings__section';
+
+    const rows = ratesCache.map((r) => {
+      const inUse = current[r.code]?.effectiveDate === r.effectiveDate;
+      return `
+        <tr>
+          <td>${escapeHtml(r.code)} ${inUse ? '<span class="badge badge--ok">current</span>' : ''}</td>
+          <td>${escapeHtml(formatPlain(r.unitsPerBase, 4))}</td>
+          <td>${escapeHtml(r.effectiveDate)}</td>
+          <td><button class="iconBtn iconBtn--danger" type="button" data-del="${escapeHtml(r.id)}" title="Delete rate">✕</button></td>
+        </tr>
+      `;
+    }).join('');
 
-    const iw = img.width, ih = img.height;
-    const scale = Math.max(w / iw, h / ih);
-    const sw = iw * scale;
-    const sh = ih * scale;
-    const sx = x + (w - sw) / 2;
-    const sy = y + (h - sh) / 2;
-    ctx.drawImage(img, sx, sy, sw, sh);
+    section.innerHTML = `
+      <div class="detail-card__body">
+        <div class="detail-title">Exchange rates</div>
+        <div class="muted" style="margin-bottom:10px;">
+          Units of each currency per 1 ${BASE_CURRENCY}. A costing uses the latest rate effective on the day it is calculated, and keeps a copy of the rates it used.
+        </div>
 
-    ctx.restore();
-  }
+        <table class="table" role="table" aria-label="Exchange rates">
+          <thead><tr><th>Currency</th><th>Per 1 ${BASE_CURRENCY}</th><th>Effective from</th><th></th></tr></thead>
+          <tbody>${rows || '<tr><td colspan="4" class="muted">No rates yet. Everything is quoted in a single currency.</td></tr>'}</tbody>
+        </table>
 
-  function drawWrappedText(ctx, text, x, y, maxWidth, lineHeight, maxLines) {
-    const words = String(text || '').split(/\s+/);
-    let line = '';
-    let lines = 0;
+        <div class="form__grid settings__form">
+          <div class="field">
+            <label class="label">Currency code</label>
+            <input id="sRateCode" class="input" type="text" maxlength="3" placeholder="e.g., BDT" />
+          </div>
+          <div class="field">
+            <label class="label">Units per 1 ${BASE_CURRENCY}</label>
+            <input id="sRateUnits" class="input" type="number" inputmode="decimal" min="0" step="0.0001" placeholder="e.g., 110" />
+          </div>
+          <div class="field">
+            <label class="label">Effective from</label>
+            <input id="sRateDate" class="input" type="date" value="${today}" />
+          </div>
+          <div class="field settings__formAction">
+            <button id="sRateAdd" class="btn btn--primary" type="button">Add rate</button>
+          </div>
+        </div>
+        <div id="sRateError" class="alert hidden" role="alert"></div>
+      </div>
+    `;
 
-    for (let i = 0; i < words.length; i++) {
-      const test = line ? (line + ' ' + words[i]) : words[i];
-      const w = ctx.measureText(test).width;
-      if (w > maxWidth && line) {
-        ctx.fillText(line, x, y);
-        y += lineHeight;
-        lines += 1;
-        line = words[i];
-        if (lines >= maxLines - 1) break;
-      } else {
-        line = test;
-      }
-    }
+    const errorEl = $('#sRateError', section);
+    $('#sRateAdd', section).addEventListener('click', async () => {
+      const code = String($('#sRateCode', section).value || '').trim().toUpperCase();
+      const unitsPerBase = toNum($('#sRateUnits', section).value);
+      const effectiveDate = $('#sRateDate', section).value;
+
+      let msg = '';
+      if (!/^[A-Z]{3}$/.test(code)) msg = 'Currency code must be 3 letters (e.g., BDT).';
+      else if (code === BASE_CURRENCY) msg = `${BASE_CURRENCY} is the base currency (always 1).`;
+      else if (!(unitsPerBase > 0)) msg = 'Rate must be greater than 0.';
+      else if (!effectiveDate) msg = 'Effective date is required.';
+      if (msg) { errorEl.textContent = msg; show(errorEl); return; }
+
+      await window.GCDB.putRate({ id: uuid(), code, unitsPerBase, effectiveDate, createdAt: new Date().toISOString() });
+      await renderSettings();
+    });
 
-    if (line) {
-      let out = line;
-      // ellipsis if overflow
-      while (ctx.measureText(out).width > maxWidth && out.length > 0) {
-        out = out.slice(0, -1);
-      }
-      if (out !== line) out = out.slice(0, -1) + '…';
-      ctx.fillText(out, x, y);
-      y += lineHeight;
-    }
+    section.querySelectorAll('[data-del]').forEach((b) => {
+      b.addEventListener('click', async () => {
+        const ok = confirm('Delete this exchange rate? Saved costings keep their own copy of the rates they used.');
+        if (!ok) return;
+        await window.GCDB.deleteRate(b.getAttribute('data-del'));
+        await renderSettings();
+      });
+    });
 
-    return y;
+    return section;
   }
 
   // ===========
   // Events
   // ===========
-  btnNew.addEventListener('click', async () => {
-    const d = await loadDraft();
-    if (d) {
-      // Resume by default (safer: avoid accidental loss)
-      await openWizard({ resume: true });
-    } else {
-      await openWizard({ resume: false });
-    }
-  });
-
-  btnNewEmpty.addEventListener('click', async () => {
-    await openWizard({ resume: false });
-  });
+  // Other unfinished costings stay in the drafts list
+  btnNew.addEventListener('click', () => openWizard());
+  btnNewEmpty.addEventListener('click', () => openWizard());
 
   btnWizardCancel.addEventListener('click', async () => {
-    // Keep draft (safe). User can discard from banner.
+    // Keep draft (safe). User can discard it from the drafts list.
+    await loadAndRenderList();
     showView(viewList);
   });
 
   btnPrev.addEventListener('click', wizardPrev);
   btnNext.addEventListener('click', wizardNext);
 
+  btnWizardToForm.addEventListener('click', () => setEntryMode('form'));
+  btnFormToWizard.addEventListener('click', () => setEntryMode('wizard'));
+  btnFormCancel.addEventListener('click', async () => {
+    // Keep draft (safe), same as the wizard's Back
+    await loadAndRenderList();
+    showView(viewList);
+  });
+  btnFormSave.addEventListener('click', formSave);
+
+  formBody.addEventListener('input', (e) => scheduleFormRefresh(e, false));
+  formBody.addEventListener('change', (e) => scheduleFormRefresh(e, true));
+  formBody.addEventListener('click', (e) => {
+    if (e.target.closest('button, .gaugeOption')) scheduleFormRefresh(e, true);
+  });
+
   btnBackFromDetail.addEventListener('click', () => {
     showView(viewList);
   });
 
-  searchInput.addEventListener('input', loadAndRenderList);
+  viewList.querySelectorAll('[data-filter]').forEach((el) => {
+    el.addEventListener(el.tagName === 'SELECT' ? 'change' : 'input', loadAndRenderList);
+  });
+
+  savedViews.addEventListener('change', async () => {
+    const view = listViews.find(v => v.name === savedViews.value);
+    if (!view) return;
+    applyListFilter(view.filter);
+    await loadAndRenderList();
+  });
+  btnSaveView.addEventListener('click', saveListView);
+  btnDeleteView.addEventListener('click', deleteListView);
+  btnResetFilters.addEventListener('click', async () => {
+    applyListFilter({});
+    renderSavedViews('');
+    await loadAndRenderList();
+  });
+
+  btnYarns.addEventListener('click', openYarns);
+  btnBackFromYarns.addEventListener('click', () => {
+    showView(viewList);
+  });
+
+  btnReprice.addEventListener('click', openReprice);
+  btnBackFromReprice.addEventListener('click', async () => {
+    await loadAndRenderList();
+    showView(viewList);
+  });
+
+  btnTrash.addEventListener('click', openTrash);
+  btnBackFromTrash.addEventListener('click', async () => {
+    await loadAndRenderList();
+    showView(viewList);
+  });
+
+  btnSettings.addEventListener('click', openSettings);
+  btnBackFromSettings.addEventListener('click', () => {
+    showView(viewList);
+  });
 
   btnExport.addEventListener('click', exportBackup);
   btnImport.addEventListener('click', () => importFile.click());
@@ -1613,6 +5606,9 @@ wrap.innerHTML = `
   async function boot() {
     showView(viewList);
     await registerSW();
+    await purgeExpiredTrash();
+    await loadListViews();
+    renderSavedViews();
     await loadAndRenderList();
 
     // If user refreshes while mid-wizard, we keep list view but show draft banner.
@@ -0,0 +1,438 @@
+/* =========================================================
+   Formula engines (no external libs)
+   - One engine per calcVersion; a saved record re-derives under its own
+   - An engine is never edited once released: a formula change adds a new
+     engine with its own copy of the formula path and constants
+   - Engines read only the state passed in, never app.js helpers
+   ========================================================= */
+
+(() => {
+  'use strict';
+
+  // ===========
+  // factorySheet_v1: the original factory sheet (fixed ROC), kept verbatim
+  // ===========
+  const factorySheetV1 = (() => {
+    // Fixed ROC (factory standard)
+    const FIXED_ROC_PCT = 2.5;
+    const WEIGHT_GM_PER_LB = 453.6;
+    const PIECES_PER_DOZEN = 12;
+    const GM_PER_LB_PER_PIECE_IN_DOZEN = WEIGHT_GM_PER_LB / PIECES_PER_DOZEN; // 37.8
+
+    function round2(n) {
+      const x = Number(n);
+      if (!Number.isFinite(x)) return 0;
+      return Math.round((x + Number.EPSILON) * 100) / 100;
+    }
+
+    function toNum(v) {
+      if (v === '' || v === null || v === undefined) return 0;
+      const n = Number(v);
+      return Number.isFinite(n) ? n : 0;
+    }
+
+    return function computeAll(s) {
+      // Weight gm is the weight per piece
+      const weightGm = toNum(s.weightGm);
+      const wastagePct = toNum(s.wastagePct);
+      const yarnPricePerLb = toNum(s.yarnPricePerLb);
+
+      const lbsPerDoz = weightGm > 0 ? (weightGm / GM_PER_LB_PER_PIECE_IN_DOZEN) : null;
+      const lbsWithWastage = (lbsPerDoz !== null) ? (lbsPerDoz * (1 + wastagePct / 100)) : null;
+
+      const yarnCostDoz = (lbsWithWastage !== null) ? (yarnPricePerLb * lbsWithWastage) : null;
+
+      const accessoriesCostDoz = toNum(s.accessoriesCostDoz);
+      const fabricDoz = toNum(s.fabricDoz);
+      const fabricCostDoz = toNum(s.fabricCostDoz);
+      const fabricAttachCostDoz = toNum(s.fabricAttachCostDoz);
+      const cmDoz = toNum(s.cmDoz);
+
+      const totalDoz = (yarnCostDoz ?? 0) + accessoriesCostDoz + fabricDoz + fabricCostDoz + fabricAttachCostDoz + cmDoz;
+      const fobPerPc = round2(totalDoz / PIECES_PER_DOZEN);
+
+      const rocPct = FIXED_ROC_PCT; // locked per factory standard
+      const finalPerPc = round2(fobPerPc * (1 + rocPct / 100));
+
+      return {
+        lbsPerDoz,
+        lbsWithWastage,
+        yarnCostDoz,
+        totalDoz,
+        fobPerPc,
+        finalPerPc,
+        rocPct,
+      };
+    };
+  })();
+
+  // ===========
+  // factorySheet_v2: yarn blends, BOM, fabric, SMV CM, processes, packing,
+  // size-wise weights, markup layers, currencies and Incoterms
+  // ===========
+  const factorySheetV2 = (() => {
+    const WEIGHT_GM_PER_LB = 453.6;
+    const WEIGHT_GM_PER_KG = 1000;
+    const PIECES_PER_DOZEN = 12;
+    const GM_PER_LB_PER_PIECE_IN_DOZEN = WEIGHT_GM_PER_LB / PIECES_PER_DOZEN; // 37.8
+    const CM2_PER_M2 = 10000;
+    const CM_PER_YARD = 91.44;
+    const CM3_PER_CBM = 1000000;
+    // Rates are units of a currency per 1 BASE_CURRENCY
+    const BASE_CURRENCY = 'USD';
+    const DEFAULT_CURRENCY = 'USD';
+    const CURRENCY_ALIASES = {
+      '$': 'USD', 'US$': 'USD', '€': 'EUR', '£': 'GBP',
+      '৳': 'BDT', 'TK': 'BDT', 'TK.': 'BDT', 'TAKA': 'BDT',
+      '₹': 'INR', 'RS': 'INR', 'RS.': 'INR', '¥': 'CNY', 'RMB': 'CNY',
+    };
+    // Incoterms in build-up order
+    const INCOTERM_CODES = ['FOB', 'CFR', 'CIF', 'DDP'];
+
+    function round2(n) {
+      const x = Number(n);
+      if (!Number.isFinite(x)) return 0;
+      return Math.round((x + Number.EPSILON) * 100) / 100;
+    }
+
+    function toNum(v) {
+      if (v === '' || v === null || v === undefined) return 0;
+      const n = Number(v);
+      return Number.isFinite(n) ? n : 0;
+    }
+
+    function formatPlain(n, decimals = 2) {
+      const v = Number(n);
+      if (!Number.isFinite(v)) return '—';
+      return v.toFixed(decimals);
+    }
+
+    function currencyCodeOf(currency) {
+      const c = String(currency || '').trim();
+      if (!c) return DEFAULT_CURRENCY;
+      const alias = CURRENCY_ALIASES[c.toUpperCase()];
+      if (alias) return alias;
+      if (/^[A-Za-z]{3}$/.test(c)) return c.toUpperCase();
+      return c;
+    }
+
+    function converterOf(s) {
+      const quote = currencyCodeOf(s.currency);
+      const rates = s.fx?.rates || {};
+      const missing = new Set();
+      const unitsPerBase = (code) => (code === BASE_CURRENCY) ? 1 : (toNum(rates[code]?.unitsPerBase) || null);
+
+      function convert(amount, code) {
+        const from = code ? currencyCodeOf(code) : quote;
+        if (from === quote || !amount) return amount;
+        const a = unitsPerBase(from);
+        const b = unitsPerBase(quote);
+        if (!a) missing.add(from);
+        if (!b) missing.add(quote);
+        return (a && b) ? (amount / a) * b : 0;
+      }
+
+      return { quote, convert, missing };
+    }
+
+    // Blank line currency = quote currency
+    function lineCurrencyOf(s, key) {
+      return currencyCodeOf(s.lineCurrencies?.[key] || s.currency);
+    }
+
+    function lineUnitOf(s, key) {
+      return (s.lineUnits?.[key] === 'pc') ? 'pc' : 'doz';
+    }
+
+    // factorySheet_v1 states carry one yarn / one accessories total
+    function yarnComponentsOf(s) {
+      if (Array.isArray(s.yarns)) return s.yarns;
+      return [{ desc: s.yarnDesc || '', share: 100, price: s.yarnPricePerLb ?? '', wastagePct: '' }];
+    }
+
+    function accessoriesOf(s) {
+      if (Array.isArray(s.accessories)) return s.accessories;
+      const amount = toNum(s.accessoriesCostDoz);
+      return amount > 0 ? [{ item: 'Accessories', consumptionDoz: '1', unit: 'lot', unitPrice: String(amount), supplier: '' }] : [];
+    }
+
+    function sizeRunOf(s) {
+      if (!s.sizeMode || !Array.isArray(s.sizes)) return null;
+      const sizes = s.sizes.filter(z => toNum(z.weightGm) > 0);
+      const totalRatio = sizes.reduce((sum, z) => sum + toNum(z.ratio), 0);
+      if (!(totalRatio > 0)) return null;
+      const avgWeightGm = sizes.reduce((sum, z) => sum + toNum(z.weightGm) * toNum(z.ratio), 0) / totalRatio;
+      return { sizes, totalRatio, avgWeightGm };
+    }
+
+    // (knitting + linking + other min / pc) × cost per minute ÷ efficiency × 12
+    function cmOf(s) {
+      if (s.cmMode !== 'smv') return { cmDoz: toNum(s.cmDoz), smv: null };
+
+      const smv = s.smv || {};
+      const knitMin = toNum(smv.knitMin);
+      const linkMin = toNum(smv.linkMin);
+      const otherMin = toNum(smv.otherMin);
+      const totalMin = knitMin + linkMin + otherMin;
+      const costPerMin = toNum(smv.costPerMin);
+      const efficiencyPct = toNum(smv.efficiencyPct);
+      const cmPc = efficiencyPct > 0 ? (totalMin * costPerMin) / (efficiencyPct / 100) : 0;
+
+      return {
+        cmDoz: cmPc * PIECES_PER_DOZEN,
+        smv: { knitMin, linkMin, otherMin, totalMin, costPerMin, efficiencyPct, cmPc },
+      };
+    }
+
+    // Panel area × 2 × 12 → kg by GSM (knit) or yards by fabric width (woven),
+    // ÷ marker efficiency
+    function fabricOf(s) {
+      if (s.fabricMode !== 'consumption') return null;
+
+      const f = s.fabric || {};
+      const unit = (f.unit === 'yd') ? 'yd' : 'kg';
+      const lengthCm = toNum(f.bodyLengthCm) + toNum(f.sleeveLengthCm) + toNum(f.lengthAllowCm);
+      const widthCm = toNum(f.chestWidthCm) + toNum(f.widthAllowCm);
+      const areaCm2Doz = lengthCm * widthCm * 2 * PIECES_PER_DOZEN;
+      const markerEffPct = toNum(f.markerEffPct);
+      const netDoz = (unit === 'kg')
+        ? (areaCm2Doz / CM2_PER_M2) * toNum(f.gsm) / 1000
+        : (toNum(f.fabricWidthCm) > 0 ? areaCm2Doz / (toNum(f.fabricWidthCm) * CM_PER_YARD) : 0);
+      const consumptionDoz = markerEffPct > 0 ? netDoz / (markerEffPct / 100) : 0;
+      const wastagePct = toNum(f.wastagePct);
+      const consumptionWithWastage = consumptionDoz * (1 + wastagePct / 100);
+      const pricePerUnit = toNum(f.pricePerUnit);
+
+      return {
+        unit,
+        lengthCm,
+        widthCm,
+        gsm: toNum(f.gsm),
+        fabricWidthCm: toNum(f.fabricWidthCm),
+        markerEffPct,
+        consumptionDoz,
+        wastagePct,
+        consumptionWithWastage,
+        pricePerUnit,
+        costDoz: consumptionWithWastage * pricePerUnit,
+      };
+    }
+
+    // Carton cost ÷ pieces per carton + per-piece packing; CBM freight ÷ pieces
+    function packingOf(s, weightGm) {
+      const p = s.packing || {};
+      const pcsPerCarton = Math.trunc(toNum(p.pcsPerCarton));
+      const cbmPerCarton = (toNum(p.lengthCm) * toNum(p.widthCm) * toNum(p.heightCm)) / CM3_PER_CBM;
+      const perCarton = (amount) => (pcsPerCarton > 0 ? amount / pcsPerCarton : 0);
+
+      const cartonPc = perCarton(toNum(p.cartonCost));
+      const packingPc = cartonPc + toNum(p.polybagPc) + toNum(p.hangerPc) + toNum(p.tissuePc);
+      const freightPerCbm = toNum(p.freightPerCbm);
+      const freightPc = perCarton(cbmPerCarton * freightPerCbm);
+      const cartonWeightKg = toNum(p.cartonWeightKg);
+
+      return {
+        pcsPerCarton,
+        cbmPerCarton,
+        cartonPc,
+        packingPc,
+        packingDoz: packingPc * PIECES_PER_DOZEN,
+        freightPerCbm,
+        freightPc,
+        freightDoz: freightPc * PIECES_PER_DOZEN,
+        cartonWeightKg,
+        grossKgPerCarton: cartonWeightKg + (pcsPerCarton * toNum(weightGm)) / 1000,
+      };
+    }
+
+    // Freight (CFR+), insurance % of CFR value (CIF+), duty % of CIF value and
+    // destination handling (DDP), in quote currency
+    function incotermOf(s) {
+      const code = INCOTERM_CODES.includes(s.incoterm) ? s.incoterm : 'FOB';
+      const rank = INCOTERM_CODES.indexOf(code);
+
+      function lines(finalPerPc) {
+        const out = [];
+        let running = finalPerPc;
+        const add = (key, label, amountPc) => {
+          running += amountPc;
+          out.push({ key, label, amountPc, pricePc: running });
+        };
+        if (rank >= 1) add('freight', 'Freight', toNum(s.freightPc));
+        if (rank >= 2) add('insurance', `Insurance (${formatPlain(toNum(s.insurancePct), 2)}%)`, running * toNum(s.insurancePct) / 100);
+        if (rank >= 3) {
+          add('duty', `Import duty (${formatPlain(toNum(s.dutyPct), 2)}%)`, running * toNum(s.dutyPct) / 100);
+          add('destHandling', 'Destination handling', toNum(s.destHandlingPc));
+        }
+        return out;
+      }
+
+      return {
+        code,
+        lines,
+        quote: (finalPerPc) => round2(lines(finalPerPc).at(-1)?.pricePc ?? finalPerPc),
+      };
+    }
+
+    function computeForWeight(s, weightGm) {
+      // Every money input is converted to the quote currency with the rates
+      // snapshotted on the costing
+      const fx = converterOf(s);
+
+      // Weight gm is the weight per piece
+      const wastagePct = toNum(s.wastagePct);
+
+      const lbsPerDoz = weightGm > 0 ? (weightGm / GM_PER_LB_PER_PIECE_IN_DOZEN) : null;
+
+      // Each yarn component carries its share of the weight, its own price and
+      // wastage (blank wastage falls back to the style wastage %)
+      // Gram shares are taken as proportions when one blend covers a whole size run
+      const yarns = yarnComponentsOf(s);
+      const shareTotal = yarns.reduce((sum, y) => sum + toNum(y.share), 0);
+      const yarnLines = (lbsPerDoz !== null) ? yarns.map((y) => {
+        const gm = (s.yarnShareUnit !== 'gm') ? (weightGm * toNum(y.share) / 100)
+          : (s.sizeMode ? (shareTotal > 0 ? weightGm * toNum(y.share) / shareTotal : 0) : toNum(y.share));
+        const sharePct = (gm / weightGm) * 100;
+        const componentWastagePct = (y.wastagePct === '' || y.wastagePct === null || y.wastagePct === undefined) ? wastagePct : toNum(y.wastagePct);
+        // y.price is the price as entered, per y.priceUnit
+        const priceUnit = (y.priceUnit === 'kg') ? 'kg' : 'lb';
+        const price = toNum(y.price);
+        const pricePerLb = (priceUnit === 'kg') ? price * WEIGHT_GM_PER_LB / WEIGHT_GM_PER_KG : price;
+        const componentLbsPerDoz = gm / GM_PER_LB_PER_PIECE_IN_DOZEN;
+        const componentLbsWithWastage = componentLbsPerDoz * (1 + componentWastagePct / 100);
+        return {
+          desc: String(y.desc || '').trim(),
+          sharePct,
+          gm,
+          price,
+          priceUnit,
+          pricePerLb,
+          currency: y.currency || fx.quote,
+          wastagePct: componentWastagePct,
+          lbsPerDoz: componentLbsPerDoz,
+          lbsWithWastage: componentLbsWithWastage,
+          costDoz: fx.convert(pricePerLb * componentLbsWithWastage, y.currency),
+        };
+      }) : [];
+
+      const lbsWithWastage = (lbsPerDoz !== null) ? yarnLines.reduce((sum, y) => sum + y.lbsWithWastage, 0) : null;
+      const yarnCostDoz = (lbsPerDoz !== null) ? yarnLines.reduce((sum, y) => sum + y.costDoz, 0) : null;
+
+      const cm = cmOf(s);
+      const fabric = fabricOf(s);
+      const packing = packingOf(s, weightGm);
+      // BOM consumption is per dozen, or per piece when the accessories are entered per piece
+      const accessoryUnit = lineUnitOf(s, 'accessoriesCostDoz');
+      const accessoryLines = accessoriesOf(s).map(a => ({
+        item: String(a.item || '').trim(),
+        consumptionDoz: toNum(a.consumptionDoz),
+        unit: String(a.unit || '').trim(),
+        unitPrice: toNum(a.unitPrice),
+        supplier: String(a.supplier || '').trim(),
+        costDoz: toNum(a.consumptionDoz) * toNum(a.unitPrice) * (accessoryUnit === 'pc' ? PIECES_PER_DOZEN : 1),
+      }));
+      // `amount` is per dozen in the line currency; per-piece entries keep the
+      // entered figure so exports can show it next to the normalized value
+      const moneyLine = (key, entered, unit = 'doz') => {
+        const currency = lineCurrencyOf(s, key);
+        const amount = (unit === 'pc') ? entered * PIECES_PER_DOZEN : entered;
+        return { amount, currency, value: fx.convert(amount, currency), ...(unit === 'pc' ? { unit, entered } : {}) };
+      };
+      // Process lines keep the entered rate; amount/value are per dozen
+      const processLines = (Array.isArray(s.processes) ? s.processes : []).map((p) => {
+        const rate = toNum(p.value);
+        const basis = (p.basis === 'pc') ? 'pc' : 'doz';
+        const amountDoz = (basis === 'pc') ? rate * PIECES_PER_DOZEN : rate;
+        return { label: String(p.label || '').trim(), basis, rate, ...moneyLine('processCostDoz', amountDoz) };
+      });
+      const moneyLines = {
+        accessoriesCostDoz: moneyLine('accessoriesCostDoz', accessoryLines.reduce((sum, a) => sum + a.costDoz, 0) / (accessoryUnit === 'pc' ? PIECES_PER_DOZEN : 1), accessoryUnit),
+        fabricDoz: moneyLine('fabricDoz', toNum(s.fabricDoz), lineUnitOf(s, 'fabricDoz')),
+        fabricCostDoz: fabric ? moneyLine('fabricCostDoz', fabric.costDoz) : moneyLine('fabricCostDoz', toNum(s.fabricCostDoz), lineUnitOf(s, 'fabricCostDoz')),
+        fabricAttachCostDoz: moneyLine('fabricAttachCostDoz', toNum(s.fabricAttachCostDoz), lineUnitOf(s, 'fabricAttachCostDoz')),
+        cmDoz: cm.smv ? moneyLine('cmDoz', cm.cmDoz) : moneyLine('cmDoz', cm.cmDoz, lineUnitOf(s, 'cmDoz')),
+        processCostDoz: moneyLine('processCostDoz', processLines.reduce((sum, p) => sum + p.amount, 0)),
+        packingDoz: moneyLine('packingDoz', packing.packingDoz),
+        cbmFreightDoz: moneyLine('packingDoz', packing.freightDoz),
+      };
+
+      const accessoriesCostDoz = moneyLines.accessoriesCostDoz.value;
+      const fabricDoz = moneyLines.fabricDoz.value;
+      const fabricCostDoz = moneyLines.fabricCostDoz.value;
+      const fabricAttachCostDoz = moneyLines.fabricAttachCostDoz.value;
+      const cmDoz = moneyLines.cmDoz.value;
+      const processCostDoz = moneyLines.processCostDoz.value;
+      const packingDoz = moneyLines.packingDoz.value + moneyLines.cbmFreightDoz.value;
+
+      const totalDoz = (yarnCostDoz ?? 0) + accessoriesCostDoz + fabricDoz + fabricCostDoz + fabricAttachCostDoz + processCostDoz + cmDoz + packingDoz;
+      const fobPerPc = round2(totalDoz / PIECES_PER_DOZEN);
+
+      // Markup layers compound in order: a % layer applies to the running price
+      let runningPc = fobPerPc;
+      const markupLines = (Array.isArray(s.markups) ? s.markups : []).map((m) => {
+        const value = toNum(m.value);
+        const amountPc = (m.kind === 'doz') ? (value / PIECES_PER_DOZEN) : (runningPc * value / 100);
+        runningPc += amountPc;
+        return { label: String(m.label || '').trim(), kind: m.kind === 'doz' ? 'doz' : 'pct', value, amountPc, pricePc: runningPc };
+      });
+      const finalPerPc = round2(runningPc);
+
+      const incoterm = incotermOf(s);
+
+      return {
+        lbsPerDoz,
+        lbsWithWastage,
+        yarnLines,
+        yarnCostDoz,
+        accessoryLines,
+        processLines,
+        moneyLines,
+        cmDoz,
+        cmSmv: cm.smv,
+        fabric,
+        packing,
+        totalDoz,
+        fobPerPc,
+        markupLines,
+        finalPerPc,
+        incoterm: incoterm.code,
+        incotermLines: incoterm.lines(finalPerPc),
+        quotePerPc: incoterm.quote(finalPerPc),
+        fxMissing: [...fx.missing],
+      };
+    }
+
+    return function computeAll(s) {
+      // With size-wise weights the costing runs at the ratio-weighted average
+      // weight; each size is also priced at its own weight for size-wise FOB.
+      const run = sizeRunOf(s);
+      const base = computeForWeight(s, run ? run.avgWeightGm : toNum(s.weightGm));
+
+      const sizeLines = run ? run.sizes.map((z) => {
+        const c = computeForWeight(s, toNum(z.weightGm));
+        return {
+          size: String(z.size || '').trim(),
+          weightGm: toNum(z.weightGm),
+          ratio: toNum(z.ratio),
+          lbsPerDoz: c.lbsPerDoz,
+          yarnCostDoz: c.yarnCostDoz,
+          fobPerPc: c.fobPerPc,
+          finalPerPc: c.finalPerPc,
+        };
+      }) : [];
+
+      return {
+        weightGm: run ? run.avgWeightGm : toNum(s.weightGm),
+        ...base,
+        sizeLines,
+      };
+    };
+  })();
+
+  window.GCCalc = {
+    engines: Object.freeze({
+      factorySheet_v1: factorySheetV1,
+      factorySheet_v2: factorySheetV2,
+    }),
+  };
+})();
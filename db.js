@@ -1,17 +1,29 @@
 /* =========================================================
    IndexedDB layer (no external libs)
    - Stores product + computed results + compressed image blob
-   - Stores 1 in-progress draft (to survive refresh)
+   - Stores any number of named in-progress drafts (to survive refresh)
+   - Stores exchange rates with effective dates
+   - Stores the gauge master (per-gauge costing defaults)
+   - Stores the buyer master (per-buyer quote defaults)
+   - Stores the yarn library (count, composition, supplier, dated prices)
+   - Stores app settings by key (e.g. sanity rules)
+   - Keeps deleted products (photo included) in a trash store until purged
    ========================================================= */
 
 (() => {
   'use strict';
 
   const DB_NAME = 'garment-costing-db';
-  const DB_VERSION = 2;
+  const DB_VERSION = 8;
 
   const STORE_PRODUCTS = 'products';
   const STORE_DRAFTS = 'drafts';
+  const STORE_RATES = 'rates';
+  const STORE_GAUGES = 'gauges';
+  const STORE_SETTINGS = 'settings';
+  const STORE_BUYERS = 'buyers';
+  const STORE_YARNS = 'yarns';
+  const STORE_TRASH = 'trash';
 
   function openDB() {
     return new Promise((resolve, reject) => {
@@ -26,9 +38,42 @@
           store.createIndex('styleName', 'styleName', { unique: false });
         }
 
+        // v6: list filtering by buyer / season
+        const products = req.transaction.objectStore(STORE_PRODUCTS);
+        if (!products.indexNames.contains('buyer')) products.createIndex('buyer', 'buyer', { unique: false });
+        if (!products.indexNames.contains('season')) products.createIndex('season', 'season', { unique: false });
+        // v7: costings that use a library yarn
+        if (!products.indexNames.contains('yarnIds')) products.createIndex('yarnIds', 'yarnIds', { unique: false, multiEntry: true });
+
         if (!db.objectStoreNames.contains(STORE_DRAFTS)) {
           db.createObjectStore(STORE_DRAFTS, { keyPath: 'id' });
         }
+
+        if (!db.objectStoreNames.contains(STORE_RATES)) {
+          const store = db.createObjectStore(STORE_RATES, { keyPath: 'id' });
+          store.createIndex('code', 'code', { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains(STORE_GAUGES)) {
+          db.createObjectStore(STORE_GAUGES, { keyPath: 'gauge' });
+        }
+
+        if (!db.objectStoreNames.contains(STORE_SETTINGS)) {
+          db.createObjectStore(STORE_SETTINGS, { keyPath: 'key' });
+        }
+
+        if (!db.objectStoreNames.contains(STORE_BUYERS)) {
+          db.createObjectStore(STORE_BUYERS, { keyPath: 'name' });
+        }
+
+        if (!db.objectStoreNames.contains(STORE_YARNS)) {
+          db.createObjectStore(STORE_YARNS, { keyPath: 'id' });
+        }
+
+        if (!db.objectStoreNames.contains(STORE_TRASH)) {
+          const store = db.createObjectStore(STORE_TRASH, { keyPath: 'id' });
+          store.createIndex('deletedAt', 'deletedAt', { unique: false });
+        }
       };
 
       req.onsuccess = () => resolve(req.result);
@@ -49,6 +94,19 @@
     });
   }
 
+  // One transaction over several stores; fn receives the stores in order
+  async function withStores(storeNames, mode, fn) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      const res = fn(...storeNames.map(name => tx.objectStore(name)));
+
+      tx.oncomplete = () => resolve(res);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
   // ---------- Products ----------
   function putProduct(product) {
     return withStore(STORE_PRODUCTS, 'readwrite', (store) => store.put(product));
@@ -98,6 +156,21 @@
     });
   }
 
+  // Products whose `indexName` field (buyer, season, yarnIds) matches `value`, newest first
+  function getProductsBy(indexName, value) {
+    return withStore(STORE_PRODUCTS, 'readonly', (store) => {
+      return new Promise((resolve, reject) => {
+        const req = store.index(indexName).getAll(value);
+        req.onsuccess = () => {
+          const items = req.result || [];
+          items.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+          resolve(items);
+        };
+        req.onerror = () => reject(req.error);
+      });
+    });
+  }
+
   // ---------- Drafts ----------
   function putDraft(draft) {
     return withStore(STORE_DRAFTS, 'readwrite', (store) => store.put(draft));
@@ -117,6 +190,205 @@
     return withStore(STORE_DRAFTS, 'readwrite', (store) => store.delete(id));
   }
 
+  function getAllDrafts() {
+    return withStore(STORE_DRAFTS, 'readonly', (store) => {
+      return new Promise((resolve, reject) => {
+        const req = store.getAll();
+        req.onsuccess = () => {
+          const items = req.result || [];
+          // last edited first
+          items.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+          resolve(items);
+        };
+        req.onerror = () => reject(req.error);
+      });
+    });
+  }
+
+  // ---------- Exchange rates ----------
+  function putRate(rate) {
+    return withStore(STORE_RATES, 'readwrite', (store) => store.put(rate));
+  }
+
+  function deleteRate(id) {
+    return withStore(STORE_RATES, 'readwrite', (store) => store.delete(id));
+  }
+
+  function getAllRates() {
+    return withStore(STORE_RATES, 'readonly', (store) => {
+      return new Promise((resolve, reject) => {
+        const req = store.getAll();
+        req.onsuccess = () => {
+          const items = req.result || [];
+          // by currency, latest effective date first
+          items.sort((a, b) => String(a.code).localeCompare(String(b.code)) || String(b.effectiveDate).localeCompare(String(a.effectiveDate)));
+          resolve(items);
+        };
+        req.onerror = () => reject(req.error);
+      });
+    });
+  }
+
+  // ---------- Gauge master ----------
+  function putGauge(gauge) {
+    return withStore(STORE_GAUGES, 'readwrite', (store) => store.put(gauge));
+  }
+
+  function deleteGauge(gauge) {
+    return withStore(STORE_GAUGES, 'readwrite', (store) => store.delete(gauge));
+  }
+
+  function getAllGauges() {
+    return withStore(STORE_GAUGES, 'readonly', (store) => {
+      return new Promise((resolve, reject) => {
+        const req = store.getAll();
+        req.onsuccess = () => {
+          const items = req.result || [];
+          items.sort((a, b) => Number(a.gauge) - Number(b.gauge));
+          resolve(items);
+        };
+        req.onerror = () => reject(req.error);
+      });
+    });
+  }
+
+  // ---------- Buyer master ----------
+  function putBuyer(buyer) {
+    return withStore(STORE_BUYERS, 'readwrite', (store) => store.put(buyer));
+  }
+
+  function deleteBuyer(name) {
+    return withStore(STORE_BUYERS, 'readwrite', (store) => store.delete(name));
+  }
+
+  function getAllBuyers() {
+    return withStore(STORE_BUYERS, 'readonly', (store) => {
+      return new Promise((resolve, reject) => {
+        const req = store.getAll();
+        req.onsuccess = () => {
+          const items = req.result || [];
+          items.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+          resolve(items);
+        };
+        req.onerror = () => reject(req.error);
+      });
+    });
+  }
+
+  // ---------- Yarn library ----------
+  function putYarn(yarn) {
+    return withStore(STORE_YARNS, 'readwrite', (store) => store.put(yarn));
+  }
+
+  function deleteYarn(id) {
+    return withStore(STORE_YARNS, 'readwrite', (store) => store.delete(id));
+  }
+
+  function getAllYarns() {
+    return withStore(STORE_YARNS, 'readonly', (store) => {
+      return new Promise((resolve, reject) => {
+        const req = store.getAll();
+        req.onsuccess = () => {
+          const items = req.result || [];
+          items.sort((a, b) => `${a.count} ${a.composition}`.localeCompare(`${b.count} ${b.composition}`));
+          resolve(items);
+        };
+        req.onerror = () => reject(req.error);
+      });
+    });
+  }
+
+  // ---------- Trash (soft delete) ----------
+  // Entries are { id, deletedAt, product }; moves are atomic, so a product is never lost or in both stores
+  function trashProduct(id) {
+    return withStores([STORE_PRODUCTS, STORE_TRASH], 'readwrite', (products, trash) => {
+      const req = products.get(id);
+      req.onsuccess = () => {
+        if (!req.result) return;
+        trash.put({ id, deletedAt: new Date().toISOString(), product: req.result });
+        products.delete(id);
+      };
+    });
+  }
+
+  function restoreProduct(id) {
+    return withStores([STORE_TRASH, STORE_PRODUCTS], 'readwrite', (trash, products) => {
+      const req = trash.get(id);
+      req.onsuccess = () => {
+        if (!req.result) return;
+        products.put(req.result.product);
+        trash.delete(id);
+      };
+    });
+  }
+
+  function deleteFromTrash(id) {
+    return withStore(STORE_TRASH, 'readwrite', (store) => store.delete(id));
+  }
+
+  function getAllTrash() {
+    return withStore(STORE_TRASH, 'readonly', (store) => {
+      return new Promise((resolve, reject) => {
+        const req = store.getAll();
+        req.onsuccess = () => {
+          const items = req.result || [];
+          items.sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt)));
+          resolve(items);
+        };
+        req.onerror = () => reject(req.error);
+      });
+    });
+  }
+
+  // Permanently removes entries deleted before `beforeIso`
+  function purgeTrash(beforeIso) {
+    return withStore(STORE_TRASH, 'readwrite', (store) => {
+      const req = store.index('deletedAt').openCursor(IDBKeyRange.upperBound(beforeIso, true));
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        cursor.delete();
+        cursor.continue();
+      };
+    });
+  }
+
+  // ---------- Settings ----------
+  function putSetting(key, value) {
+    return withStore(STORE_SETTINGS, 'readwrite', (store) => store.put({ key, value }));
+  }
+
+  function getSetting(key) {
+    return withStore(STORE_SETTINGS, 'readonly', (store) => {
+      return new Promise((resolve, reject) => {
+        const req = store.get(key);
+        req.onsuccess = () => resolve(req.result ? req.result.value : null);
+        req.onerror = () => reject(req.error);
+      });
+    });
+  }
+
+  // ---------- Backup restore ----------
+  // Every section in one transaction, so a failed restore writes nothing
+  function restoreBackup({ products = [], yarns = [], buyers = [], gauges = [], rates = [], settings = [], trash = [] }) {
+    const storeNames = [STORE_PRODUCTS, STORE_YARNS, STORE_BUYERS, STORE_GAUGES, STORE_RATES, STORE_SETTINGS, STORE_TRASH];
+    const sections = [products, yarns, buyers, gauges, rates, settings, trash];
+    return withStores(storeNames, 'readwrite', (...stores) => {
+      stores.forEach((store, i) => sections[i].forEach(row => store.put(row)));
+    });
+  }
+
+  // Every { key, value } record (backup)
+  function getAllSettings() {
+    return withStore(STORE_SETTINGS, 'readonly', (store) => {
+      return new Promise((resolve, reject) => {
+        const req = store.getAll();
+        req.onsuccess = () => resolve(req.result || []);
+        req.onerror = () => reject(req.error);
+      });
+    });
+  }
+
   window.GCDB = {
     openDB,
     // products
@@ -124,10 +396,40 @@
     deleteProduct,
     getProduct,
     getAllProducts,
+    getProductsBy,
     bulkPut,
     // drafts
     putDraft,
     getDraft,
     clearDraft,
+    getAllDrafts,
+    // exchange rates
+    putRate,
+    deleteRate,
+    getAllRates,
+    // gauge master
+    putGauge,
+    deleteGauge,
+    getAllGauges,
+    // buyer master
+    putBuyer,
+    deleteBuyer,
+    getAllBuyers,
+    // yarn library
+    putYarn,
+    deleteYarn,
+    getAllYarns,
+    // trash
+    trashProduct,
+    restoreProduct,
+    deleteFromTrash,
+    getAllTrash,
+    purgeTrash,
+    // settings
+    putSetting,
+    getSetting,
+    getAllSettings,
+    // backup
+    restoreBackup,
   };
 })();
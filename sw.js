@@ -4,13 +4,14 @@
    - Network falling back to cache for navigation
    ========================================================= */
 
-const CACHE_NAME = 'garment-costing-shell-v3';
+const CACHE_NAME = 'garment-costing-shell-v4';
 const APP_SHELL = [
   './',
   './index.html',
   './styles.css',
   './app.js',
   './db.js',
+  './calc.js',
   './manifest.json',
   './assets/icons/icon-192.png',
   './assets/icons/icon-512.png',